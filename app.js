@@ -1,11 +1,18 @@
-// Storage key for collection data
+// Storage key for collection data (of the default profile; see getProfileStorageKey)
 const STORAGE_KEY = 'magic-tracker-collection';
 
-// API endpoint for Scryfall
-const SCRYFALL_API = 'https://api.scryfall.com/cards/search';
+// Storage key for the list of collection profiles and which one is in use
+const PROFILES_STORAGE_KEY = 'magic-tracker-profiles';
+const DEFAULT_PROFILE_NAME = 'My collection';
 
-// Set configurations
-const SETS = {
+// Scryfall card ids are UUIDs; older versions used them as collection keys
+const SCRYFALL_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Backup file format version (bump when the export structure changes)
+const BACKUP_FORMAT_VERSION = 1;
+
+// Default set configurations (used until the user changes the set list in settings)
+const DEFAULT_SETS = {
     tla: {
         code: 'tla',
         name: 'Avatar: The Last Airbender',
@@ -36,12 +43,159 @@ const SETS = {
     }
 };
 
+// Storage key for UI preferences (ownership filter, sort order, ...)
+const PREFERENCES_KEY = 'magic-tracker-preferences';
+const DEFAULT_PREFERENCES = {
+    ownershipFilter: 'all',
+    sortOrder: 'number',
+    currency: 'usd',
+    tradeKeepCount: 1,
+    collapsedSections: [],
+    excludedSections: [], // Grid sections that don't count toward "set complete"
+    acquisitionSource: '' // Where cards added from the grid came from (see ACQUISITION_SOURCES)
+};
+
+// Where newly added cards came from, recorded with the date they were added
+const ACQUISITION_SOURCES = {
+    '': 'Not recorded',
+    pack: 'Pack',
+    trade: 'Trade',
+    bought: 'Bought'
+};
+
+// Storage key for the log of cards added and removed, shown in the timeline (one per profile)
+const ACTIVITY_STORAGE_KEY = 'magic-tracker-activity';
+const ACTIVITY_LIMIT = 5000; // Oldest events are dropped beyond this
+
+// Session storage key for the undo/redo history (kept until the browser session ends)
+const UNDO_STORAGE_KEY = 'magic-tracker-undo';
+const UNDO_LIMIT = 100; // Oldest steps are dropped beyond this
+const TOAST_DURATION = 5000; // ms
+
+// The grid only creates the tiles in and around the viewport (see renderVirtualGrid)
+const VIRTUAL_GRID_BUFFER = 800; // px of tiles kept rendered above and below the viewport
+const SEARCH_DEBOUNCE_DELAY = 200; // ms to wait after typing before filtering
+
+// Holding a tile this long in bulk mode starts painting a selection by dragging
+const BULK_LONG_PRESS_DELAY = 400; // ms
+const BULK_LONG_PRESS_TOLERANCE = 10; // px the pointer may move before the press counts as a scroll
+
+// Storage key for the user's set list (ordered array of set configurations)
+const SETS_STORAGE_KEY = 'magic-tracker-sets';
+
+// Set configurations by code, in tab order
+let SETS = {};
+
+// Card finishes we track quantities for (matches Scryfall's `finishes` values)
+const FINISHES = ['nonfoil', 'foil', 'etched'];
+const FINISH_LABELS = {
+    nonfoil: 'Non-foil',
+    foil: 'Foil',
+    etched: 'Etched foil'
+};
+
+// Wishlist priorities, highest first
+const WISHLIST_PRIORITIES = {
+    high: { label: 'High', rank: 3 },
+    medium: { label: 'Medium', rank: 2 },
+    low: { label: 'Low', rank: 1 }
+};
+
+// Ownership filters shown under the search box (matches receives the card's collection state)
+const OWNERSHIP_FILTERS = {
+    all: { label: 'All', matches: () => true },
+    missing: { label: 'Missing', matches: cardState => !isCardCollected(cardState) },
+    collected: { label: 'Collected', matches: cardState => isCardCollected(cardState) },
+    nonfoil: { label: 'Non-foil', matches: cardState => getQuantity(cardState, 'nonfoil') > 0 },
+    foil: { label: 'Foil', matches: cardState => getQuantity(cardState, 'foil') + getQuantity(cardState, 'etched') > 0 },
+    wishlist: { label: 'Wishlist', matches: cardState => Boolean(cardState.want) }
+};
+
+// Currencies offered in Settings, with the Scryfall price field for each finish
+// (etched cards without an etched price fall back to the foil price)
+const CURRENCIES = {
+    usd: { label: 'US dollar ($)', code: 'USD', fields: { nonfoil: 'usd', foil: 'usd_foil', etched: 'usd_etched' } },
+    eur: { label: 'Euro (€)', code: 'EUR', fields: { nonfoil: 'eur', foil: 'eur_foil', etched: 'eur_etched' } }
+};
+
+// Printing treatments, in the order a card is classified (the first match wins)
+const TREATMENTS = {
+    borderless: { label: 'Borderless', matches: card => card.border_color === 'borderless' },
+    showcase: { label: 'Showcase', matches: card => hasFrameEffect(card, 'showcase') },
+    extendedart: { label: 'Extended art', matches: card => hasFrameEffect(card, 'extendedart') },
+    fullart: { label: 'Full art', matches: card => Boolean(card.full_art) },
+    promo: { label: 'Promo', matches: card => Boolean(card.promo) || (Array.isArray(card.promo_types) && card.promo_types.length > 0) },
+    regular: { label: 'Regular', matches: () => true }
+};
+
+// Sections of the card grid, in display order: regular printings, basic lands, then each treatment
+const CARD_SECTIONS = {
+    main: { label: 'Main set' },
+    basicLands: { label: 'Basic lands' },
+    showcase: { label: 'Showcase' },
+    borderless: { label: 'Borderless' },
+    extendedart: { label: 'Extended art' },
+    fullart: { label: 'Full art' },
+    promo: { label: 'Promos' }
+};
+
+// Basic land names (placeholders for basic lands have a name but no type line)
+const BASIC_LAND_NAMES = ['Plains', 'Island', 'Swamp', 'Mountain', 'Forest', 'Wastes'];
+
+// Rarities from lowest to highest
+const RARITY_ORDER = ['common', 'uncommon', 'rare', 'mythic', 'special', 'bonus'];
+
+// Colors in WUBRG order (used to sort by color identity)
+const COLOR_ORDER = ['W', 'U', 'B', 'R', 'G'];
+
+// Natural ordering for collector numbers: "9" < "12" < "12a" < "12b" < "61.5" < "62"
+const COLLECTOR_NUMBER_COLLATOR = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Sort orders offered by the sort selector; ties fall back to collector number
+const SORT_ORDERS = {
+    number: { label: 'Collector number', compare: () => 0 },
+    name: { label: 'Name', compare: (a, b) => compareSortValues(getCardName(a) || null, getCardName(b) || null) },
+    rarity: { label: 'Rarity (highest first)', compare: (a, b) => compareSortValues(getRarityRank(a), getRarityRank(b), true) },
+    color: { label: 'Color identity', compare: (a, b) => compareSortValues(getColorSortKey(a), getColorSortKey(b)) },
+    cmc: { label: 'Mana value', compare: (a, b) => compareSortValues(a.cmc, b.cmc) },
+    price: { label: 'Price (highest first)', compare: (a, b) => compareSortValues(getCardPrice(a), getCardPrice(b), true) },
+    priority: { label: 'Wishlist priority', compare: (a, b) => compareSortValues(getWishlistRank(a), getWishlistRank(b), true) },
+    added: {
+        label: 'Date added (newest first)',
+        compare: (a, b) => compareSortValues(getAddedAt(getCardState(getCardKey(a))), getAddedAt(getCardState(getCardKey(b))), true)
+    }
+};
+
 // Current state
-let currentSet = 'tla';
+let currentSet = 'tla'; // Replaced by the first configured set if TLA was removed
 let cards = [];
 let searchTerm = ''; // Current search term
-let collectionState = {}; // Will be organized by set: { tla: {...}, tle: {...} }
+let searchQuery = null; // Matcher compiled from searchTerm (see query.js), null when empty
+let preferences = { ...DEFAULT_PREFERENCES }; // Remembered UI choices
+let priceSnapshots = []; // Price snapshots of the current set shown in the history view
+let activityLog = []; // Finishes added and removed, oldest first: { at, setCode, cardKey, finish, source?, removed? }
+let activityLogChanged = false; // Whether activityLog has events that aren't saved yet
+let undoStack = []; // Undoable changes, oldest first: { label, setCode, changes: [{ cardKey, before, after }] }
+let redoStack = []; // Undone changes that can be redone
+let toastTimer = null;
+let bulkMode = false; // Whether tile taps select cards instead of collecting them
+let bulkSelection = new Set(); // Card keys selected in bulk mode (current set only)
+let bulkAnchorKey = null; // Last tapped card, the start of a shift-click range
+let bulkPress = null; // Pending long press or active paint: { startX, startY, timer, painting, select }
+let detailCardKey = null; // Card shown in the detail dialog (null when closed)
+let detailFaceIndex = 0; // Face of a multi-faced card shown in the detail dialog
+let detailOrder = []; // Card keys in the grid's filtered order when the detail dialog was opened
+let rovingCardKey = null; // The grid's single tab stop (arrow keys move it between tiles)
+let lastStatsAnnouncement = null; // { setCode, text } last sent to the screen reader live region
+let virtualGrids = []; // Rendered grid sections: { grid, cards, start, end, columns, rowHeight, basePadding }
+let virtualGridFrame = null; // Pending animation frame for a scroll or resize update
+let profiles = [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME }]; // Collection profiles, in switcher order
+let activeProfileId = DEFAULT_PROFILE_ID; // Profile whose collection is loaded into collectionState
+let collectionState = {}; // Will be organized by set: { tla: { [collectorNumber]: { quantities: { nonfoil: 1, foil: 0 }, scryfallId, want, notForTrade } }, tle: {...} }
 let cardsCache = {}; // Cache cards by set code
+let cardsFetchedAt = {}; // When each set's card data was fetched from Scryfall
+let refreshingSets = new Set(); // Sets being refreshed in the background
+let offlineSets = new Set(); // Sets whose last refresh failed (showing saved data)
 
 // Initialize app
 async function init() {
@@ -51,40 +205,108 @@ async function init() {
     // Set up update checking
     setupUpdateChecking();
     
-    // Load saved collection state
+    // Load remembered UI preferences
+    loadPreferences();
+    
+    // Load the configured sets and build their tabs
+    loadSets();
+    if (!SETS[currentSet]) {
+        currentSet = Object.keys(SETS)[0];
+    }
+    renderTabs();
+    
+    // Load the collection profiles and the active profile's saved collection state
+    loadProfiles();
     loadCollectionState();
     
     // Set up tab switching
     setupTabs();
     
+    // Set up set management in settings
+    setupSetManagement();
+    
+    // Set up the profile switcher and profile management in settings
+    setupProfiles();
+    
     // Set up search functionality
     setupSearch();
     
+    // Set up the ownership filter and sort order under the search box
+    setupOwnershipFilter();
+    setupSortSelect();
+    
+    // Set up the currency selector in Settings
+    setupCurrencySelect();
+    
+    // Set up the price history view
+    setupPriceHistory();
+    
+    // Set up the wishlist editor
+    setupWishlist();
+    
+    // Set up the trade binder view
+    setupTradeView();
+    
+    // Set up the statistics dashboard
+    setupStatsDashboard();
+    
+    // Set up the collection timeline and the source recorded for added cards
+    setupTimeline();
+    
+    // Set up which grid sections count toward "set complete"
+    setupCompletionSections();
+    
+    // Set up undo/redo of collection changes
+    setupUndo();
+    
+    // Set up bulk selection and editing of cards
+    setupBulkMode();
+    
+    // Set up the card detail dialog
+    setupCardDetail();
+    
+    // Set up keyboard navigation of the card grid
+    setupGridKeyboard();
+    
+    // Render more of the grid as it scrolls into view
+    window.addEventListener('scroll', () => scheduleVirtualGridUpdate(false), { passive: true });
+    window.addEventListener('resize', () => scheduleVirtualGridUpdate(true));
+    
+    // Set up backup export/import in settings
+    setupBackup();
+    
+    // Set up CSV export and import in settings
+    setupCsvExport();
+    setupCsvImport();
+    
+    // Set up offline image cache controls in settings
+    setupImageCache();
+    
     // Load initial set
     await loadSet(currentSet);
 }
 
-// Load collection state from localStorage
+// Load the active profile's collection state (and activity log) from localStorage
 function loadCollectionState() {
-    const saved = localStorage.getItem(STORAGE_KEY);
+    // First, so saving a migrated state can't write another profile's log under this profile
+    loadActivityLog();
+    
+    const saved = localStorage.getItem(getProfileStorageKey(activeProfileId));
     if (saved) {
         try {
             const parsed = JSON.parse(saved);
             
             // Check if it's old format (flat structure) or new format (organized by set)
-            if (parsed.tla || parsed.tle) {
+            if (!isFlatCollectionState(parsed)) {
                 // New format: organized by set
                 collectionState = parsed;
             } else {
                 // Old format: migrate to new format (assume TLA)
-                collectionState = { tla: {}, tle: {} };
-                for (const [key, value] of Object.entries(parsed)) {
-                    if (typeof value === 'boolean') {
-                        collectionState.tla[key] = { collected: value, foil: false };
-                    } else {
-                        collectionState.tla[key] = value;
-                    }
-                }
+                collectionState = { tla: parsed, tle: {} };
+            }
+            
+            // Migrate boolean / { collected, foil } entries to per-finish quantities
+            if (migrateCollectionState()) {
                 saveCollectionState(); // Save migrated format
             }
         } catch (e) {
@@ -96,1213 +318,5084 @@ function loadCollectionState() {
     }
 }
 
-// Save collection state to localStorage
-function saveCollectionState() {
+// Load the active profile's log of cards added and removed
+function loadActivityLog() {
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(collectionState));
+        const saved = JSON.parse(localStorage.getItem(getProfileStorageKey(activeProfileId, ACTIVITY_STORAGE_KEY)) || '[]');
+        activityLog = Array.isArray(saved) ? saved : [];
     } catch (e) {
-        console.error('Error saving collection state:', e);
+        console.error('Error loading activity log:', e);
+        activityLog = [];
     }
+    activityLogChanged = false;
 }
 
-// Set up tab switching
-function setupTabs() {
-    const tabButtons = document.querySelectorAll('.tab-button');
-    tabButtons.forEach(button => {
-        button.addEventListener('click', () => {
-            const setCode = button.dataset.set;
-            switchToSet(setCode);
-        });
-    });
+// Whether saved state uses the original flat format (card entries at the top level instead of
+// grouped by set), told apart by the shape of its values
+function isFlatCollectionState(state) {
+    return Object.values(state).some(value => typeof value === 'boolean' ||
+        (value && typeof value === 'object' && ('collected' in value || 'quantities' in value)));
 }
 
-// Set up search functionality
-function setupSearch() {
-    const searchInput = document.getElementById('search-input');
-    const clearSearchBtn = document.getElementById('clear-search-btn');
+// Migrate all entries to the quantities format and collector number keys (returns true if anything changed)
+function migrateCollectionState() {
+    let migrated = false;
+    for (const [setCode, setState] of Object.entries(collectionState)) {
+        if (!setState || typeof setState !== 'object') continue;
+        for (const [cardKey, value] of Object.entries(setState)) {
+            const isCurrentFormat = value && typeof value === 'object' && value.quantities;
+            const [newKey, cardState] = migrateCardKey(setCode, cardKey, isCurrentFormat ? migrateAddedAt(value) : migrateCardState(value));
+            if (newKey === cardKey && cardState === value) continue;
+            
+            delete setState[cardKey];
+            if (!isCardStateEmpty(cardState)) {
+                setState[newKey] = mergeCardStates(setState[newKey], cardState);
+            }
+            migrated = true;
+        }
+    }
+    return migrated;
+}
+
+// Convert a legacy key to a collector number key where possible, returning [key, cardState].
+// Scryfall id keys can only be moved once the set's cards are loaded, so the id is kept on the
+// entry for reconcileCollectionState.
+function migrateCardKey(setCode, cardKey, cardState) {
+    const placeholderPrefix = `placeholder-${setCode}-`;
+    if (cardKey.startsWith(placeholderPrefix)) {
+        return [cardKey.slice(placeholderPrefix.length), cardState];
+    }
+    if (SCRYFALL_ID_PATTERN.test(cardKey) && !cardState.scryfallId) {
+        return [cardKey, { ...cardState, scryfallId: cardKey }];
+    }
+    return [cardKey, cardState];
+}
+
+// Combine two entries for the same card, keeping the higher count for each finish
+function mergeCardStates(existing, incoming) {
+    if (!existing) {
+        return incoming;
+    }
     
-    if (!searchInput || !clearSearchBtn) return;
+    const quantities = {};
+    FINISHES.forEach(finish => {
+        const quantity = Math.max(getQuantity(existing, finish), getQuantity(incoming, finish));
+        if (quantity > 0) {
+            quantities[finish] = quantity;
+        }
+    });
+    const merged = { ...incoming, ...existing, quantities };
+    if (existing.acquired || incoming.acquired) {
+        merged.acquired = { ...incoming.acquired, ...existing.acquired };
+    }
+    return merged;
+}
+
+// Convert a legacy entry (boolean or { collected, foil }) to a count of 1 in the matching finish
+function migrateCardState(value) {
+    const quantities = {};
+    if (value === true) {
+        quantities.nonfoil = 1;
+    } else if (value && typeof value === 'object' && value.collected === true) {
+        quantities[value.foil ? 'foil' : 'nonfoil'] = 1;
+    }
+    return { quantities };
+}
+
+// Load UI preferences from localStorage
+function loadPreferences() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PREFERENCES_KEY) || '{}');
+        preferences = { ...DEFAULT_PREFERENCES, ...saved };
+    } catch (e) {
+        console.error('Error loading preferences:', e);
+        preferences = { ...DEFAULT_PREFERENCES };
+    }
+}
+
+// Save UI preferences to localStorage
+function savePreferences() {
+    try {
+        localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+    } catch (e) {
+        console.error('Error saving preferences:', e);
+    }
+}
+
+// Save the active profile's collection state to localStorage
+function saveCollectionState() {
+    try {
+        localStorage.setItem(getProfileStorageKey(activeProfileId), JSON.stringify(collectionState));
+    } catch (e) {
+        console.error('Error saving collection state:', e);
+    }
     
-    // Search as user types
-    searchInput.addEventListener('input', (e) => {
-        searchTerm = e.target.value.trim().toLowerCase();
-        updateClearButton();
-        renderCards();
+    if (activityLogChanged) {
+        try {
+            localStorage.setItem(getProfileStorageKey(activeProfileId, ACTIVITY_STORAGE_KEY), JSON.stringify(activityLog));
+            activityLogChanged = false;
+        } catch (e) {
+            console.error('Error saving activity log:', e);
+        }
+    }
+}
+
+// Log the finishes a change added (from none to some copies) or removed (down to none)
+function recordActivity(setCode, cardKey, before, after) {
+    FINISHES.forEach(finish => {
+        const wasOwned = getQuantity(before, finish) > 0;
+        const isOwned = getQuantity(after, finish) > 0;
+        if (wasOwned === isOwned) return;
+        
+        const event = { at: Date.now(), setCode, cardKey, finish };
+        const acquired = after && after.acquired && after.acquired[finish];
+        if (!isOwned) {
+            event.removed = true;
+        } else if (acquired && acquired.source) {
+            event.source = acquired.source;
+        }
+        activityLog.push(event);
     });
     
-    // Clear search button
-    clearSearchBtn.addEventListener('click', () => {
-        searchInput.value = '';
-        searchTerm = '';
-        updateClearButton();
-        renderCards();
+    if (activityLog.length > ACTIVITY_LIMIT) {
+        activityLog.splice(0, activityLog.length - ACTIVITY_LIMIT);
+    }
+    activityLogChanged = true;
+}
+
+// When a card was added: the earliest acquisition date of the finishes owned now
+// (undefined for cards added before dates were recorded)
+function getAddedAt(cardState) {
+    const dates = FINISHES
+        .filter(finish => getQuantity(cardState, finish) > 0)
+        .map(finish => cardState.acquired && cardState.acquired[finish] && cardState.acquired[finish].at)
+        .filter(Boolean);
+    return dates.length > 0 ? Math.min(...dates) : undefined;
+}
+
+// Collection key for a card: its collector number within the set. Unlike the Scryfall id this stays
+// the same when Scryfall re-issues a card or when a placeholder is replaced by the real card.
+function getCardKey(card) {
+    return String(card.collector_number);
+}
+
+// Display name of a card (the front face for double-faced cards); '' for blank placeholders
+function getCardName(card) {
+    return card.name || (card.card_faces && card.card_faces[0] && card.card_faces[0].name) || '';
+}
+
+// Find a loaded card in a set by its collection key
+function findCardByKey(cardKey, setCode = currentSet) {
+    const setCards = cardsCache[setCode] || (setCode === currentSet ? cards : []);
+    return setCards.find(card => getCardKey(card) === cardKey);
+}
+
+// Get the stored state for a card in a set
+function getCardState(cardKey, setCode = currentSet) {
+    const setState = collectionState[setCode];
+    return (setState && setState[cardKey]) || { quantities: {} };
+}
+
+// Whether a stored entry holds nothing worth keeping (no copies, wishlist entry or note)
+function isCardStateEmpty(cardState) {
+    return getTotalQuantity(cardState) === 0 && !cardState.want && !cardState.note;
+}
+
+// Get the number of copies owned in a finish
+function getQuantity(cardState, finish) {
+    return (cardState && cardState.quantities && cardState.quantities[finish]) || 0;
+}
+
+// Get the number of copies owned across all finishes
+function getTotalQuantity(cardState) {
+    return FINISHES.reduce((total, finish) => total + getQuantity(cardState, finish), 0);
+}
+
+// A card counts as collected when at least one copy is owned
+function isCardCollected(cardState) {
+    return getTotalQuantity(cardState) > 0;
+}
+
+// Finishes to show counters for: what Scryfall says the card comes in, plus anything already owned
+function getCardFinishes(card, cardState) {
+    let finishes = (card && Array.isArray(card.finishes))
+        ? FINISHES.filter(finish => card.finishes.includes(finish))
+        : [];
+    if (finishes.length === 0) {
+        finishes = ['nonfoil', 'foil'];
+    }
+    
+    FINISHES.forEach(finish => {
+        if (!finishes.includes(finish) && getQuantity(cardState, finish) > 0) {
+            finishes.push(finish);
+        }
     });
     
-    // Update clear button visibility
-    function updateClearButton() {
-        if (searchTerm) {
-            clearSearchBtn.classList.remove('hidden');
-        } else {
-            clearSearchBtn.classList.add('hidden');
+    return finishes;
+}
+
+// Store the number of copies owned in a finish (removes the entry when nothing is left to keep).
+// source optionally records where a newly acquired finish came from (a key of ACQUISITION_SOURCES).
+// Adding a finish (again) or removing its last copy is logged for the timeline.
+function setQuantity(cardKey, finish, quantity, setCode = currentSet, source = '') {
+    const cardState = getCardState(cardKey, setCode);
+    const quantities = { ...cardState.quantities };
+    const acquired = { ...cardState.acquired };
+    if (quantity > 0) {
+        quantities[finish] = quantity;
+        // Remember when the finish was acquired (for sorting by date added and the timeline)
+        if (!getQuantity(cardState, finish)) {
+            acquired[finish] = source ? { at: Date.now(), source } : { at: Date.now() };
         }
+    } else {
+        delete quantities[finish];
+        delete acquired[finish];
+    }
+    
+    const updated = { ...cardState, quantities };
+    if (Object.keys(acquired).length > 0) {
+        updated.acquired = acquired;
+    } else {
+        delete updated.acquired;
     }
+    recordActivity(setCode, cardKey, cardState, updated);
+    storeCardState(cardKey, updated, setCode);
 }
 
-// Switch to a different set
-async function switchToSet(setCode) {
-    if (setCode === currentSet) return;
+// Store a card's entry (dropping it once it's empty), keeping its Scryfall id as metadata
+function storeCardState(cardKey, cardState, setCode = currentSet) {
+    if (!collectionState[setCode]) {
+        collectionState[setCode] = {};
+    }
     
-    // Clear search when switching sets
-    const searchInput = document.getElementById('search-input');
-    const clearSearchBtn = document.getElementById('clear-search-btn');
-    if (searchInput) {
-        searchInput.value = '';
-        searchTerm = '';
-        if (clearSearchBtn) {
-            clearSearchBtn.classList.add('hidden');
+    if (isCardStateEmpty(cardState)) {
+        delete collectionState[setCode][cardKey];
+        return;
+    }
+    
+    // Placeholders have no Scryfall id
+    const card = findCardByKey(cardKey, setCode);
+    if (card && !card.is_placeholder) {
+        cardState.scryfallId = card.id;
+    }
+    collectionState[setCode][cardKey] = cardState;
+}
+
+// Load the user's set list from localStorage (falls back to the default sets)
+function loadSets() {
+    let setList = Object.values(DEFAULT_SETS);
+    const saved = localStorage.getItem(SETS_STORAGE_KEY);
+    if (saved) {
+        try {
+            const parsed = JSON.parse(saved);
+            if (Array.isArray(parsed) && parsed.length > 0 && parsed.every(set => set && typeof set.code === 'string')) {
+                setList = parsed;
+            }
+        } catch (e) {
+            console.error('Error loading sets:', e);
         }
     }
     
-    // Update active tab
-    document.querySelectorAll('.tab-button').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.set === setCode);
+    SETS = {};
+    setList.forEach(set => {
+        SETS[set.code] = {
+            code: set.code,
+            name: set.name || set.code.toUpperCase(),
+            missingCards: Array.isArray(set.missingCards) ? set.missingCards : [],
+            totalCards: Number(set.totalCards) || 0,
+            placeholderCards: Array.isArray(set.placeholderCards) ? set.placeholderCards : []
+        };
     });
+}
+
+// Save the set list (in tab order) to localStorage
+function saveSets() {
+    try {
+        localStorage.setItem(SETS_STORAGE_KEY, JSON.stringify(Object.values(SETS)));
+    } catch (e) {
+        console.error('Error saving sets:', e);
+    }
+}
+
+// Build one tab per configured set
+function renderTabs() {
+    const tabsEl = document.querySelector('.tabs');
+    if (!tabsEl) return;
+    tabsEl.innerHTML = '';
     
-    // Update subtitle
-    const subtitle = document.getElementById('set-subtitle');
-    subtitle.textContent = SETS[setCode].name;
+    Object.values(SETS).forEach(set => {
+        const button = document.createElement('button');
+        button.className = `tab-button ${set.code === currentSet ? 'active' : ''}`;
+        button.dataset.set = set.code;
+        button.title = set.name;
+        button.textContent = set.code.toUpperCase();
+        tabsEl.appendChild(button);
+    });
     
-    currentSet = setCode;
+    const subtitle = document.getElementById('set-subtitle');
+    if (subtitle && SETS[currentSet]) {
+        subtitle.textContent = SETS[currentSet].name;
+    }
+}
+
+// Set up tab switching
+function setupTabs() {
+    const tabsEl = document.querySelector('.tabs');
+    if (!tabsEl) return;
     
-    // Load set (from cache or fetch)
-    await loadSet(setCode);
+    // Tabs are rebuilt when sets change, so listen on the container
+    tabsEl.addEventListener('click', (e) => {
+        const button = e.target.closest('.tab-button');
+        if (button) {
+            switchToSet(button.dataset.set);
+        }
+    });
 }
 
-// Load a set (from cache or fetch)
-async function loadSet(setCode) {
-    const loadingEl = document.getElementById('loading');
-    loadingEl.style.display = 'block';
-    loadingEl.textContent = 'Loading cards...';
+// Set up adding, editing, removing and reordering sets in settings
+function setupSetManagement() {
+    const addInput = document.getElementById('add-set-input');
+    const addBtn = document.getElementById('add-set-btn');
     
-    // Check cache first
-    if (cardsCache[setCode]) {
-        cards = cardsCache[setCode];
-        renderCards();
-        updateStats();
-        loadingEl.style.display = 'none';
-        return;
+    if (addInput && addBtn) {
+        addBtn.addEventListener('click', () => addSet(addInput.value));
+        addInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                addSet(addInput.value);
+            }
+        });
     }
     
-    // Reset cards array for fresh load
-    cards = [];
+    renderSetList();
+}
+
+// Storage key of a profile's data: the default profile uses baseKey itself (as before profiles
+// existed), other profiles add their id
+function getProfileStorageKey(profileId, baseKey = STORAGE_KEY) {
+    return profileId === DEFAULT_PROFILE_ID ? baseKey : `${baseKey}-${profileId}`;
+}
+
+// Load the profile list from localStorage (a single default profile until others are created)
+function loadProfiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY) || 'null');
+        if (saved && Array.isArray(saved.profiles) && saved.profiles.length > 0) {
+            profiles = saved.profiles
+                .filter(profile => profile && typeof profile.id === 'string' && profile.id)
+                .map(profile => ({ id: profile.id, name: String(profile.name || profile.id) }));
+            activeProfileId = saved.activeProfileId;
+        }
+    } catch (e) {
+        console.error('Error loading profiles:', e);
+    }
+    
+    if (profiles.length === 0) {
+        profiles = [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME }];
+    }
+    if (!profiles.some(profile => profile.id === activeProfileId)) {
+        activeProfileId = profiles[0].id;
+    }
+}
+
+// Save the profile list and the active profile to localStorage
+function saveProfiles() {
+    try {
+        localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify({ activeProfileId, profiles }));
+    } catch (e) {
+        console.error('Error saving profiles:', e);
+    }
+}
+
+// The profile in use
+function getActiveProfile() {
+    return profiles.find(profile => profile.id === activeProfileId) || profiles[0];
+}
+
+// Set up the profile switcher in the header and the profile list in settings
+function setupProfiles() {
+    const profileSelect = document.getElementById('profile-select');
+    const addInput = document.getElementById('add-profile-input');
+    const addBtn = document.getElementById('add-profile-btn');
     
-    // Fetch cards (this will also call fetchVariantCards which updates stats at the end)
-    await fetchCards(setCode);
+    if (profileSelect) {
+        profileSelect.addEventListener('change', () => switchProfile(profileSelect.value));
+    }
     
-    // Cache the cards (after all cards including variants are loaded)
-    cardsCache[setCode] = cards;
+    if (addInput && addBtn) {
+        addBtn.addEventListener('click', () => addProfile(addInput.value));
+        addInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                addProfile(addInput.value);
+            }
+        });
+    }
     
-    // Render and update (in case fetchVariantCards didn't call them)
-    renderCards();
-    updateStats();
-    loadingEl.style.display = 'none';
+    renderProfileControls();
 }
 
-// Fetch cards from Scryfall API
-async function fetchCards(setCode = currentSet) {
-    const loadingEl = document.getElementById('loading');
-    loadingEl.textContent = 'Loading cards from Scryfall...';
+// Refresh the header switcher and the settings list after profiles changed
+function renderProfileControls() {
+    const profileSelect = document.getElementById('profile-select');
+    if (profileSelect) {
+        profileSelect.innerHTML = '';
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            profileSelect.appendChild(option);
+        });
+        profileSelect.value = activeProfileId;
+    }
     
-    const setConfig = SETS[setCode];
-    const setCodeUpper = setCode.toUpperCase();
+    const listEl = document.getElementById('profiles-list');
+    if (!listEl) return;
+    listEl.innerHTML = '';
     
-    try {
-        // First, get information about the set to see if there are related sets
-        const setInfoResponse = await fetch(`https://api.scryfall.com/sets/${setCode}`);
-        let relatedSetCodes = [setCode]; // Start with main set
+    profiles.forEach(profile => {
+        const item = document.createElement('li');
+        item.className = 'set-row';
         
-        if (setInfoResponse.ok) {
-            const setInfo = await setInfoResponse.json();
-            console.log('Set info:', setInfo.name, 'Card count:', setInfo.card_count);
-            
-            // Check if there are parent or child sets
-            if (setInfo.parent_set_code) {
-                relatedSetCodes.push(setInfo.parent_set_code);
-            }
-            // Note: Scryfall API doesn't directly list child sets, but we can try common variant codes
-        }
-        
-        // Query for ALL cards from the set and any related sets
-        // Try multiple queries to get all variants
-        console.log(`Querying Scryfall for all ${setConfig.name} cards...`);
+        const label = document.createElement('span');
+        label.className = 'set-row-label';
+        label.textContent = profile.id === activeProfileId ? `${profile.name} (in use)` : profile.name;
+        item.appendChild(label);
         
-        // Main query - get all cards from the set
-        let response = await fetch(`${SCRYFALL_API}?q=set:${setCode}`);
+        const actions = document.createElement('div');
+        actions.className = 'set-row-actions';
+        const addAction = (text, title, disabled, onClick) => {
+            const button = document.createElement('button');
+            button.className = 'set-row-btn';
+            button.textContent = text;
+            button.title = title;
+            button.disabled = disabled;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        };
+        addAction('Use', 'Switch to this profile', profile.id === activeProfileId, () => switchProfile(profile.id));
+        addAction('Rename', 'Rename profile', false, () => showProfileEditor(profile.id));
+        addAction('Copy', 'Duplicate profile', false, () => duplicateProfile(profile.id));
+        addAction('×', 'Delete profile', profiles.length === 1, () => deleteProfile(profile.id));
+        item.appendChild(actions);
         
-        if (!response.ok) {
-            console.log('Set query failed, trying alternative...');
-            response = await fetch(`${SCRYFALL_API}?q=s:${setCode}`);
+        listEl.appendChild(item);
+    });
+}
+
+// Create an empty profile and switch to it
+function addProfile(input) {
+    const name = input.trim();
+    if (!name) {
+        showStatusMessage('profiles-status', 'Enter a name for the new profile.', 'error');
+        return;
+    }
+    
+    createProfile(name, {});
+    
+    const addInput = document.getElementById('add-profile-input');
+    if (addInput) {
+        addInput.value = '';
+    }
+    showStatusMessage('profiles-status', `Created "${name}".`, 'success');
+}
+
+// Add a profile holding a collection state (and optionally a saved activity log), then switch to it
+// (returns the new profile)
+function createProfile(name, state, activity = null) {
+    const profile = { id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name };
+    try {
+        localStorage.setItem(getProfileStorageKey(profile.id), JSON.stringify(state));
+        if (activity) {
+            localStorage.setItem(getProfileStorageKey(profile.id, ACTIVITY_STORAGE_KEY), activity);
+        }
+    } catch (e) {
+        console.error('Error saving profile collection:', e);
+        showStatusMessage('profiles-status', 'Could not save the profile (storage may be full).', 'error');
+        return null;
+    }
+    
+    profiles.push(profile);
+    saveProfiles();
+    switchProfile(profile.id);
+    return profile;
+}
+
+// Copy a profile's collection into a new profile
+function duplicateProfile(profileId) {
+    const profile = profiles.find(candidate => candidate.id === profileId);
+    if (!profile) return;
+    
+    let state = collectionState;
+    if (profileId === activeProfileId) {
+        saveCollectionState(); // Flush the activity log so it's copied too
+    } else {
+        try {
+            state = JSON.parse(localStorage.getItem(getProfileStorageKey(profileId)) || '{}');
+        } catch (e) {
+            console.error('Error reading profile collection:', e);
+            state = {};
+        }
+    }
+    
+    const activity = localStorage.getItem(getProfileStorageKey(profileId, ACTIVITY_STORAGE_KEY));
+    const copy = createProfile(`${profile.name} (copy)`, state, activity);
+    if (copy) {
+        showStatusMessage('profiles-status', `Copied "${profile.name}" to "${copy.name}".`, 'success');
+    }
+}
+
+// Delete a profile and its collection (the last profile can't be deleted)
+function deleteProfile(profileId) {
+    const profile = profiles.find(candidate => candidate.id === profileId);
+    if (!profile || profiles.length === 1) return;
+    if (!confirm(`Delete the profile "${profile.name}" and its whole collection? Export a backup first if you may need it.`)) {
+        return;
+    }
+    
+    profiles = profiles.filter(candidate => candidate.id !== profileId);
+    localStorage.removeItem(getProfileStorageKey(profileId));
+    localStorage.removeItem(getProfileStorageKey(profileId, ACTIVITY_STORAGE_KEY));
+    sessionStorage.removeItem(getProfileStorageKey(profileId, UNDO_STORAGE_KEY));
+    deleteValueSnapshots(profileId).catch(error => {
+        console.error('Error deleting value snapshots:', error);
+    });
+    hideProfileEditor();
+    
+    if (profileId === activeProfileId) {
+        // Don't write the deleted profile's collection back while switching
+        activeProfileId = profiles[0].id;
+        saveProfiles();
+        loadActiveProfile();
+    } else {
+        saveProfiles();
+        renderProfileControls();
+    }
+    showStatusMessage('profiles-status', `Deleted "${profile.name}".`, 'success');
+}
+
+// Show the rename form for a profile
+function showProfileEditor(profileId) {
+    const editorEl = document.getElementById('profile-editor');
+    const profile = profiles.find(candidate => candidate.id === profileId);
+    if (!editorEl || !profile) return;
+    editorEl.innerHTML = '';
+    
+    const label = document.createElement('label');
+    label.className = 'set-editor-field';
+    label.textContent = 'Name';
+    const nameInput = document.createElement('input');
+    nameInput.className = 'settings-input';
+    nameInput.value = profile.name;
+    label.appendChild(nameInput);
+    editorEl.appendChild(label);
+    
+    const actions = document.createElement('div');
+    actions.className = 'settings-actions';
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'update-btn-full';
+    saveBtn.textContent = 'Save';
+    saveBtn.addEventListener('click', () => renameProfile(profileId, nameInput.value));
+    
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'update-btn-full secondary';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', hideProfileEditor);
+    
+    actions.appendChild(saveBtn);
+    actions.appendChild(cancelBtn);
+    editorEl.appendChild(actions);
+    editorEl.classList.remove('hidden');
+    nameInput.focus();
+}
+
+// Hide and clear the rename form
+function hideProfileEditor() {
+    const editorEl = document.getElementById('profile-editor');
+    if (editorEl) {
+        editorEl.classList.add('hidden');
+        editorEl.innerHTML = '';
+    }
+}
+
+// Give a profile a new name
+function renameProfile(profileId, input) {
+    const profile = profiles.find(candidate => candidate.id === profileId);
+    const name = input.trim();
+    if (!profile) return;
+    if (!name) {
+        showStatusMessage('profiles-status', 'Enter a name for the profile.', 'error');
+        return;
+    }
+    
+    profile.name = name;
+    saveProfiles();
+    hideProfileEditor();
+    renderProfileControls();
+}
+
+// Save the current profile's collection and switch to another profile
+function switchProfile(profileId) {
+    if (profileId === activeProfileId || !profiles.some(profile => profile.id === profileId)) return;
+    
+    saveCollectionState();
+    activeProfileId = profileId;
+    saveProfiles();
+    loadActiveProfile();
+    showToast(`Switched to "${getActiveProfile().name}"`);
+}
+
+// Load the active profile's collection and undo history and show them
+function loadActiveProfile() {
+    if (bulkMode) {
+        setBulkMode(false);
+    }
+    if (detailCardKey !== null) {
+        hideCardDetail();
+    }
+    hideImportPreview();
+    
+    loadCollectionState();
+    loadUndoHistory();
+    Object.keys(cardsCache).forEach(reconcileCollectionState);
+    
+    renderProfileControls();
+    renderCards();
+    updateStats();
+}
+
+// Start of exported file names, naming the profile once there is more than one
+function getExportFilePrefix() {
+    const slug = getActiveProfile().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return profiles.length > 1 && slug ? `magic-tracker-${slug}` : 'magic-tracker';
+}
+
+// Show the configured sets with their reorder/edit/remove controls
+function renderSetList() {
+    const listEl = document.getElementById('sets-list');
+    if (!listEl) return;
+    listEl.innerHTML = '';
+    
+    const setCodes = Object.keys(SETS);
+    setCodes.forEach((setCode, index) => {
+        const set = SETS[setCode];
+        const item = document.createElement('li');
+        item.className = 'set-row';
+        
+        const label = document.createElement('span');
+        label.className = 'set-row-label';
+        label.textContent = `${setCode.toUpperCase()} · ${set.name}`;
+        item.appendChild(label);
+        
+        const actions = document.createElement('div');
+        actions.className = 'set-row-actions';
+        const addAction = (text, title, disabled, onClick) => {
+            const button = document.createElement('button');
+            button.className = 'set-row-btn';
+            button.textContent = text;
+            button.title = title;
+            button.disabled = disabled;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        };
+        addAction('↑', 'Move up', index === 0, () => moveSet(setCode, -1));
+        addAction('↓', 'Move down', index === setCodes.length - 1, () => moveSet(setCode, 1));
+        addAction('Edit', 'Edit set', false, () => showSetEditor(setCode));
+        addAction('×', 'Remove set', setCodes.length === 1, () => removeSet(setCode));
+        item.appendChild(actions);
+        
+        listEl.appendChild(item);
+    });
+}
+
+// Add a Scryfall set by code, using /sets/{code} for its name and card count
+async function addSet(input) {
+    const setCode = input.trim().toLowerCase();
+    if (!/^[a-z0-9]{2,6}$/.test(setCode)) {
+        showStatusMessage('sets-status', 'Enter a Scryfall set code (e.g. "fin").', 'error');
+        return;
+    }
+    if (SETS[setCode]) {
+        showStatusMessage('sets-status', `${setCode.toUpperCase()} is already in your sets.`, 'error');
+        return;
+    }
+    
+    let setInfo;
+    try {
+        setInfo = await scryfallGetSet(setCode);
+    } catch (e) {
+        console.error('Error fetching set info:', e);
+        showStatusMessage('sets-status', 'Could not reach Scryfall. Please check your connection.', 'error');
+        return;
+    }
+    if (!setInfo) {
+        showStatusMessage('sets-status', `Scryfall has no set with code "${setCode}".`, 'error');
+        return;
+    }
+    
+    SETS[setCode] = {
+        code: setCode,
+        name: setInfo.name || setCode.toUpperCase(),
+        missingCards: [],
+        totalCards: setInfo.card_count || 0,
+        placeholderCards: []
+    };
+    saveSets();
+    renderTabs();
+    renderSetList();
+    
+    const addInput = document.getElementById('add-set-input');
+    if (addInput) {
+        addInput.value = '';
+    }
+    showStatusMessage('sets-status', `Added ${SETS[setCode].name} (${SETS[setCode].totalCards} cards).`, 'success');
+}
+
+// Remove a set's tab (its collection data is kept in case it is added again)
+function removeSet(setCode) {
+    if (Object.keys(SETS).length === 1) return;
+    if (!confirm(`Remove ${SETS[setCode].name} from your sets? Your collection data for it is kept.`)) {
+        return;
+    }
+    
+    delete SETS[setCode];
+    saveSets();
+    hideSetEditor();
+    renderSetList();
+    
+    if (setCode === currentSet) {
+        const nextSet = Object.keys(SETS)[0];
+        renderTabs();
+        switchToSet(nextSet);
+    } else {
+        renderTabs();
+    }
+}
+
+// Move a set one position up (-1) or down (1) in the tab order
+function moveSet(setCode, direction) {
+    const setCodes = Object.keys(SETS);
+    const index = setCodes.indexOf(setCode);
+    const newIndex = index + direction;
+    if (newIndex < 0 || newIndex >= setCodes.length) return;
+    
+    setCodes.splice(index, 1);
+    setCodes.splice(newIndex, 0, setCode);
+    
+    const reordered = {};
+    setCodes.forEach(code => {
+        reordered[code] = SETS[code];
+    });
+    SETS = reordered;
+    
+    saveSets();
+    renderTabs();
+    renderSetList();
+}
+
+// Show the editor for a set's name, card count, missing cards and placeholders
+function showSetEditor(setCode) {
+    const editorEl = document.getElementById('set-editor');
+    if (!editorEl) return;
+    const set = SETS[setCode];
+    editorEl.innerHTML = '';
+    
+    const title = document.createElement('p');
+    title.className = 'import-preview-title';
+    title.textContent = `Edit ${setCode.toUpperCase()}`;
+    editorEl.appendChild(title);
+    
+    const addField = (labelText, control) => {
+        const label = document.createElement('label');
+        label.className = 'set-editor-field';
+        label.textContent = labelText;
+        control.className = control.tagName === 'TEXTAREA' ? 'settings-textarea' : 'settings-input';
+        label.appendChild(control);
+        editorEl.appendChild(label);
+        return control;
+    };
+    
+    const nameInput = document.createElement('input');
+    nameInput.value = set.name;
+    addField('Name', nameInput);
+    
+    const totalInput = document.createElement('input');
+    totalInput.type = 'number';
+    totalInput.min = '0';
+    totalInput.value = set.totalCards;
+    addField('Total cards', totalInput);
+    
+    const missingInput = document.createElement('input');
+    missingInput.value = set.missingCards.join(', ');
+    missingInput.placeholder = 'e.g. 363, 393';
+    addField('Missing card numbers (searched for individually)', missingInput);
+    
+    const placeholderInput = document.createElement('textarea');
+    placeholderInput.rows = 4;
+    placeholderInput.value = set.placeholderCards.map(p => `${p.number} ${p.name}`.trim()).join('\n');
+    placeholderInput.placeholder = 'One per line: number name, e.g. 287 Plains';
+    addField('Placeholder cards (not on Scryfall yet)', placeholderInput);
+    
+    const actions = document.createElement('div');
+    actions.className = 'settings-actions';
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'update-btn-full';
+    saveBtn.textContent = 'Save';
+    saveBtn.addEventListener('click', () => {
+        saveSetConfig(setCode, {
+            name: nameInput.value.trim() || setCode.toUpperCase(),
+            totalCards: Math.max(0, parseInt(totalInput.value, 10) || 0),
+            missingCards: missingInput.value.split(/[\s,]+/).map(n => parseInt(n, 10)).filter(n => !isNaN(n)),
+            placeholderCards: placeholderInput.value.split('\n')
+                .map(line => line.trim().match(/^(\d+(?:\.\d+)?)\s*(.*)$/))
+                .filter(Boolean)
+                .map(match => ({ number: parseFloat(match[1]), name: match[2] }))
+        });
+    });
+    
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'update-btn-full secondary';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', hideSetEditor);
+    
+    actions.appendChild(saveBtn);
+    actions.appendChild(cancelBtn);
+    editorEl.appendChild(actions);
+    editorEl.classList.remove('hidden');
+}
+
+// Hide and clear the set editor
+function hideSetEditor() {
+    const editorEl = document.getElementById('set-editor');
+    if (editorEl) {
+        editorEl.innerHTML = '';
+        editorEl.classList.add('hidden');
+    }
+}
+
+// Apply edits to a set's configuration
+function saveSetConfig(setCode, changes) {
+    SETS[setCode] = { ...SETS[setCode], ...changes };
+    saveSets();
+    hideSetEditor();
+    renderTabs();
+    renderSetList();
+    
+    // Placeholders are part of the loaded card list, so rebuild it with the new ones
+    if (cardsCache[setCode]) {
+        const setCards = addPlaceholderCards(setCode, cardsCache[setCode].filter(card => !card.is_placeholder));
+        showLoadedCards(setCode, setCards);
+    } else if (setCode === currentSet) {
+        updateStats();
+    }
+    
+    showStatusMessage('sets-status', `Saved ${SETS[setCode].name}.`, 'success');
+}
+
+// Set up search functionality
+function setupSearch() {
+    const searchInput = document.getElementById('search-input');
+    const clearSearchBtn = document.getElementById('clear-search-btn');
+    
+    if (!searchInput || !clearSearchBtn) return;
+    
+    // Search as user types, once typing pauses
+    let searchTimer = null;
+    searchInput.addEventListener('input', () => {
+        searchTerm = searchInput.value.trim();
+        updateClearButton();
+        
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            // Invalid queries keep the previous results and explain what's wrong
+            try {
+                searchQuery = parseCardQuery(searchInput.value.trim());
+                showSearchError(null);
+            } catch (error) {
+                showSearchError(error.message);
+                return;
+            }
+            renderCards();
+        }, SEARCH_DEBOUNCE_DELAY);
+    });
+    
+    // Clear search button
+    clearSearchBtn.addEventListener('click', () => {
+        clearSearch();
+        renderCards();
+    });
+    
+    // Update clear button visibility
+    function updateClearButton() {
+        if (searchTerm) {
+            clearSearchBtn.classList.remove('hidden');
+        } else {
+            clearSearchBtn.classList.add('hidden');
+        }
+    }
+    
+    setupSearchHelp();
+}
+
+// Empty the search box (callers re-render)
+function clearSearch() {
+    const searchInput = document.getElementById('search-input');
+    const clearSearchBtn = document.getElementById('clear-search-btn');
+    
+    if (searchInput) {
+        searchInput.value = '';
+    }
+    if (clearSearchBtn) {
+        clearSearchBtn.classList.add('hidden');
+    }
+    searchTerm = '';
+    searchQuery = null;
+    showSearchError(null);
+}
+
+// Show an error under the search box, or hide it when message is null
+function showSearchError(message) {
+    const errorEl = document.getElementById('search-error');
+    const searchInput = document.getElementById('search-input');
+    if (!errorEl) return;
+    
+    errorEl.textContent = message || '';
+    errorEl.classList.toggle('hidden', !message);
+    if (searchInput) {
+        searchInput.classList.toggle('invalid', Boolean(message));
+    }
+}
+
+// Set up the search syntax help popover
+function setupSearchHelp() {
+    const helpBtn = document.getElementById('search-help-btn');
+    const helpEl = document.getElementById('search-help');
+    if (!helpBtn || !helpEl) return;
+    
+    helpBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        helpEl.classList.toggle('hidden');
+    });
+    
+    // Clicking an example puts it in the search box
+    helpEl.querySelectorAll('code').forEach(example => {
+        example.addEventListener('click', () => {
+            const searchInput = document.getElementById('search-input');
+            searchInput.value = example.textContent;
+            searchInput.dispatchEvent(new Event('input'));
+            helpEl.classList.add('hidden');
+            searchInput.focus();
+        });
+    });
+    
+    // Close when clicking elsewhere or pressing Escape
+    document.addEventListener('click', (e) => {
+        if (!helpEl.contains(e.target)) {
+            helpEl.classList.add('hidden');
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            helpEl.classList.add('hidden');
+        }
+    });
+}
+
+// Set up the ownership filter buttons (all / missing / collected / non-foil / foil)
+function setupOwnershipFilter() {
+    const filterEl = document.getElementById('ownership-filter');
+    if (!filterEl) return;
+    
+    if (!OWNERSHIP_FILTERS[preferences.ownershipFilter]) {
+        preferences.ownershipFilter = 'all';
+    }
+    
+    Object.entries(OWNERSHIP_FILTERS).forEach(([key, filter]) => {
+        const button = document.createElement('button');
+        button.className = `filter-button ${key === preferences.ownershipFilter ? 'active' : ''}`;
+        button.dataset.filter = key;
+        button.textContent = filter.label;
+        button.addEventListener('click', () => setOwnershipFilter(key));
+        filterEl.appendChild(button);
+    });
+}
+
+// Change the ownership filter and remember it between sessions
+function setOwnershipFilter(filterKey) {
+    preferences.ownershipFilter = filterKey;
+    savePreferences();
+    
+    document.querySelectorAll('#ownership-filter .filter-button').forEach(button => {
+        button.classList.toggle('active', button.dataset.filter === filterKey);
+    });
+    renderCards();
+}
+
+// Set up the sort order selector
+function setupSortSelect() {
+    const sortSelect = document.getElementById('sort-select');
+    if (!sortSelect) return;
+    
+    if (!SORT_ORDERS[preferences.sortOrder]) {
+        preferences.sortOrder = DEFAULT_PREFERENCES.sortOrder;
+    }
+    
+    Object.entries(SORT_ORDERS).forEach(([key, sortOrder]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = sortOrder.label;
+        sortSelect.appendChild(option);
+    });
+    sortSelect.value = preferences.sortOrder;
+    
+    sortSelect.addEventListener('change', () => {
+        preferences.sortOrder = sortSelect.value;
+        savePreferences();
+        renderCards();
+    });
+}
+
+// Set up the currency selector in Settings
+function setupCurrencySelect() {
+    const currencySelect = document.getElementById('currency-select');
+    if (!currencySelect) return;
+    
+    if (!CURRENCIES[preferences.currency]) {
+        preferences.currency = DEFAULT_PREFERENCES.currency;
+    }
+    
+    Object.entries(CURRENCIES).forEach(([key, currency]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = currency.label;
+        currencySelect.appendChild(option);
+    });
+    currencySelect.value = preferences.currency;
+    
+    currencySelect.addEventListener('change', () => {
+        preferences.currency = currencySelect.value;
+        savePreferences();
+        renderCards();
+        updateStats();
+    });
+}
+
+// Switch to a different set
+async function switchToSet(setCode) {
+    if (setCode === currentSet) return;
+    
+    // Clear search when switching sets
+    clearSearch();
+    
+    // Update active tab
+    document.querySelectorAll('.tab-button').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.set === setCode);
+    });
+    
+    // Update subtitle
+    const subtitle = document.getElementById('set-subtitle');
+    subtitle.textContent = SETS[setCode].name;
+    
+    currentSet = setCode;
+    clearBulkSelection();
+    
+    // Load set (from cache or fetch)
+    await loadSet(setCode);
+}
+
+// Load a set (from memory, from data saved on this device, or from Scryfall)
+async function loadSet(setCode) {
+    const loadingEl = document.getElementById('loading');
+    loadingEl.style.display = 'block';
+    loadingEl.textContent = 'Loading cards...';
+    updateDataFreshness();
+    
+    // Check cache first
+    if (cardsCache[setCode]) {
+        cards = cardsCache[setCode];
+        renderCards();
+        updateStats();
+        loadingEl.style.display = 'none';
+        return;
+    }
+    
+    // Reset cards array for fresh load
+    cards = [];
+    
+    // Show the cards saved on this device straight away, then refresh them from Scryfall
+    const stored = await getStoredCardSet(setCode).catch(error => {
+        console.error('Error reading saved cards:', error);
+        return null;
+    });
+    
+    if (stored && stored.cards.length > 0) {
+        cardsFetchedAt[setCode] = stored.fetchedAt;
+        showLoadedCards(setCode, stored.cards);
+        loadingEl.style.display = 'none';
+        refreshSetInBackground(setCode);
+        return;
+    }
+    
+    const fetched = await fetchCards(setCode);
+    if (fetched.length === 0) {
+        if (setCode === currentSet) {
+            loadingEl.textContent = 'Unable to load cards. Please check your connection.';
+            renderCards();
+            updateStats();
+        }
+        return;
+    }
+    
+    saveFetchedCards(setCode, fetched);
+    showLoadedCards(setCode, fetched);
+    recordPriceSnapshot(setCode);
+    loadingEl.style.display = 'none';
+}
+
+// Cache a set's cards in memory, reconcile the collection with them and show them if the set is open
+function showLoadedCards(setCode, setCards) {
+    cardsCache[setCode] = setCards;
+    
+    // Move state for re-issued cards and replaced placeholders onto the loaded cards
+    reconcileCollectionState(setCode);
+    
+    if (setCode === currentSet) {
+        cards = setCards;
+        renderCards();
+        updateStats();
+    }
+    updateDataFreshness();
+}
+
+// Remember when a set was fetched and save its cards for offline use
+function saveFetchedCards(setCode, setCards) {
+    cardsFetchedAt[setCode] = Date.now();
+    offlineSets.delete(setCode);
+    storeCardSet(setCode, setCards, cardsFetchedAt[setCode]).catch(error => {
+        console.error('Error saving cards for offline use:', error);
+    });
+}
+
+// Fetch a set again while its saved cards are shown, swapping in the fresh data when it arrives
+async function refreshSetInBackground(setCode) {
+    refreshingSets.add(setCode);
+    updateDataFreshness();
+    
+    const fetched = await fetchCards(setCode);
+    refreshingSets.delete(setCode);
+    
+    if (fetched.length > 0) {
+        saveFetchedCards(setCode, fetched);
+        showLoadedCards(setCode, fetched);
+        recordPriceSnapshot(setCode);
+    } else {
+        // Most likely offline: keep showing the saved data
+        offlineSets.add(setCode);
+        updateDataFreshness();
+    }
+}
+
+// Show how old the current set's card data is
+function updateDataFreshness() {
+    const freshnessEl = document.getElementById('data-freshness');
+    if (!freshnessEl) return;
+    
+    const fetchedAt = cardsFetchedAt[currentSet];
+    if (!fetchedAt) {
+        freshnessEl.textContent = '';
+        return;
+    }
+    
+    const date = new Date(fetchedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    let text = `Card data as of ${date}`;
+    if (refreshingSets.has(currentSet)) {
+        text += ' · refreshing…';
+    } else if (offlineSets.has(currentSet)) {
+        text += ' · offline';
+    }
+    freshnessEl.textContent = text;
+    freshnessEl.classList.toggle('offline', offlineSets.has(currentSet));
+}
+
+// Fetch all cards of a set from Scryfall and return them, with placeholders added
+async function fetchCards(setCode = currentSet) {
+    const setConfig = SETS[setCode];
+    const setCodeUpper = setCode.toUpperCase();
+    
+    // Cards collected so far by the steps below (ids are used to skip cards we already have)
+    const fetched = { cards: [], ids: new Set() };
+    
+    try {
+        // First, get information about the set to see if there are related sets
+        const setInfo = await scryfallGetSet(setCode);
+        if (setInfo) {
+            console.log('Set info:', setInfo.name, 'Card count:', setInfo.card_count);
+            if (setInfo.parent_set_code) {
+                console.log(`${setCodeUpper} has parent set ${setInfo.parent_set_code.toUpperCase()}`);
+            }
+        }
+        
+        // Main query - get all cards from the set
+        console.log(`Querying Scryfall for all ${setConfig.name} cards...`);
+        const setCards = await scryfallSearch(`set:${setCode}`, {
+            onPage: progress => showLoadingProgress(setCode, `Loading ${setCodeUpper} from Scryfall: page ${progress.page} of ${progress.totalPages}, ${progress.count} cards`)
+        });
+        
+        if (setCards.length === 0) {
+            // Fallback: try alternative search
+            await fetchCardsAlternative(setCode, fetched);
+            return fetched.cards;
+        }
+        
+        addFetchedCards(fetched, setCards, setCode);
+        
+        // After loading main set, try to find additional cards (showcase, extended art, borderless, etc.)
+        console.log(`Main set loaded: ${fetched.cards.length} cards. Checking for variants...`);
+        await fetchVariantCards(setCode, fetched);
+    } catch (error) {
+        console.error('Error fetching cards:', error);
+        
+        // Alternatives can't help when the network is down, and the cards fetched before the
+        // connection dropped are an incomplete set that mustn't replace the saved one
+        if (error.status === 0) {
+            return [];
+        }
+        if (fetched.cards.length === 0) {
+            await fetchCardsAlternative(setCode, fetched);
+        }
+        return fetched.cards;
+    }
+    
+    // Add placeholder cards for missing cards
+    addPlaceholderCards(setCode, fetched.cards);
+    
+    console.log(`Final total: ${fetched.cards.length} cards loaded (expected: ${setConfig.totalCards || 'unknown'})`);
+    return fetched.cards;
+}
+
+// Report fetch progress in the loading message (only for the set being shown)
+function showLoadingProgress(setCode, message) {
+    if (setCode !== currentSet) return;
+    const loadingEl = document.getElementById('loading');
+    if (loadingEl) {
+        loadingEl.textContent = message;
+    }
+}
+
+// Whether Scryfall has an image for a card (either a single face or the front of a double-faced card)
+function hasCardImage(card) {
+    if (card.image_uris && card.image_uris.normal) {
+        return true;
+    }
+    return Boolean(card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris);
+}
+
+// Add cards from the set that have an image and aren't collected yet; returns the cards added
+function addFetchedCards(fetched, newCards, setCode) {
+    const added = newCards.filter(card => {
+        if (fetched.ids.has(card.id)) {
+            return false;
+        }
+        if (!card.set || card.set.toLowerCase() !== setCode.toLowerCase()) {
+            return false;
+        }
+        return hasCardImage(card);
+    });
+    
+    added.forEach(card => {
+        fetched.ids.add(card.id);
+        fetched.cards.push(card);
+    });
+    return added;
+}
+
+// Fetch variant cards (showcase, extended art, promos, etc.)
+async function fetchVariantCards(setCode, fetched) {
+    const setConfig = SETS[setCode];
+    const setCodeUpper = setCode.toUpperCase();
+    
+    // All printings in the set, including every variant
+    const variantQueries = [
+        { query: `set:${setCode}`, unique: 'prints' },
+        { query: `set:${setCode} (is:showcase or is:extendedart or is:borderless or is:promo)`, unique: 'prints' },
+        { query: `set:${setCode} frame:showcase`, unique: 'prints' },
+        { query: `set:${setCode} frame:extendedart`, unique: 'prints' },
+        { query: `set:${setCode} frame:borderless`, unique: 'prints' },
+        // Try to catch borderless battle pose cards
+        { query: `set:${setCode} borderless`, unique: 'prints' },
+        { query: `set:${setCode} (borderless or "battle pose" or "neon")`, unique: 'prints' }
+    ];
+    
+    for (const [index, { query, unique }] of variantQueries.entries()) {
+        showLoadingProgress(setCode, `Checking ${setCodeUpper} variants (${index + 1} of ${variantQueries.length}), ${fetched.cards.length} cards`);
+        try {
+            const results = await scryfallSearch(query, { unique });
+            const added = addFetchedCards(fetched, results, setCode);
+            if (added.length > 0) {
+                console.log(`Found ${added.length} additional cards from query: ${query} (total in response: ${results.length})`);
+            }
+        } catch (error) {
+            if (error.status === 0) throw error;
+            console.log(`Variant query "${query}" failed:`, error);
+        }
+    }
+    
+    // Specifically look for the missing cards by collector number (if any)
+    // First check which ones are actually missing
+    if (setConfig.missingCards && setConfig.missingCards.length > 0) {
+        const actuallyMissing = setConfig.missingCards.filter(num => {
+            const found = fetched.cards.some(card => parseInt(card.collector_number) === num);
+            if (found) {
+                console.log(`Card #${num} is already in the main set, skipping search`);
+            }
+            return !found;
+        });
+        
+        if (actuallyMissing.length > 0) {
+            console.log(`Looking for specific missing cards (${actuallyMissing.join(', ')})...`);
+            showLoadingProgress(setCode, `Looking for ${actuallyMissing.length} missing ${setCodeUpper} cards, ${fetched.cards.length} cards`);
+            await fetchSpecificCards(actuallyMissing, fetched, setCode);
+            
+            // Also try a broader search for any cards with these numbers in related sets
+            await fetchCardsByNumberAndName(actuallyMissing.filter(num => !fetched.cards.some(card => parseInt(card.collector_number) === num)), fetched, setCode);
+        } else {
+            console.log('All specified missing cards are already in the main set');
+        }
+    }
+}
+
+// Search a list of queries for a card with this collector number in the set, stopping at the first hit
+async function searchCardByNumber(number, queries, fetched, setCode) {
+    for (const query of queries) {
+        try {
+            const results = await scryfallSearch(query);
+            const matches = results.filter(card => parseInt(card.collector_number) === number);
+            const added = addFetchedCards(fetched, matches, setCode);
+            if (added.length > 0) {
+                console.log(`Found card #${number}: ${added[0].name || 'Unknown'} (Set: ${added[0].set_name || added[0].set || 'Unknown'})`);
+                return true;
+            }
+        } catch (error) {
+            if (error.status === 0) throw error;
+        }
+    }
+    return false;
+}
+
+// Fetch specific cards by collector number that might be in different sets
+async function fetchSpecificCards(collectorNumbers, fetched, setCode = currentSet) {
+    const setConfig = SETS[setCode];
+    for (const number of collectorNumbers) {
+        // Try multiple query formats to catch cards in different sections
+        const found = await searchCardByNumber(number, [
+            `set:${setCode} number:${number}`,
+            `set:"${setConfig.name}" number:${number}`,
+            `setname:"${setConfig.name}" number:${number}`,
+            `cn:${number} set:${setCode}`
+        ], fetched, setCode);
+        
+        if (!found) {
+            console.log(`Warning: Could not find card #${number} in ${setConfig.name}`);
+        }
+    }
+}
+
+// Fetch cards by collector number that might be in related sets (like Secret Lair)
+async function fetchCardsByNumberAndName(collectorNumbers, fetched, setCode = currentSet) {
+    const setConfig = SETS[setCode];
+    for (const number of collectorNumbers) {
+        // Only cards of this set are kept, so the search stays within the set: an unrestricted
+        // cn: search pages through every printing with that number across all of Scryfall
+        await searchCardByNumber(number, [
+            `cn:${number} (set:${setCode} or setname:"${setConfig.name}")`
+        ], fetched, setCode);
+    }
+}
+
+// Alternative fetch method if primary fails
+async function fetchCardsAlternative(setCode, fetched) {
+    const setConfig = SETS[setCode];
+    
+    // Try different queries to get all cards including variants
+    const queries = [
+        `set:${setCode}`,
+        `s:${setCode}`,
+        `set:"${setConfig.name}"`
+    ];
+    
+    for (const query of queries) {
+        try {
+            const results = await scryfallSearch(query, {
+                onPage: progress => showLoadingProgress(setCode, `Loading ${setCode.toUpperCase()} from Scryfall: page ${progress.page} of ${progress.totalPages}, ${progress.count} cards`)
+            });
+            if (addFetchedCards(fetched, results, setCode).length > 0) {
+                console.log(`Successfully loaded ${fetched.cards.length} cards using query: ${query}`);
+                return;
+            }
+        } catch (error) {
+            if (error.status === 0) return;
+            console.log(`Query "${query}" failed, trying next...`, error);
+        }
+    }
+    
+    console.error(`Unable to load cards for ${setCode.toUpperCase()}`);
+}
+
+// Add placeholder cards for cards not found in Scryfall (returns the card list)
+function addPlaceholderCards(setCode, setCards) {
+    const setConfig = SETS[setCode];
+    if (!setConfig || !setConfig.placeholderCards || setConfig.placeholderCards.length === 0) {
+        return setCards;
+    }
+    
+    const existingNumbers = new Set(setCards.map(card => parseFloat(card.collector_number)));
+    
+    setConfig.placeholderCards.forEach(placeholder => {
+        const cardNumber = placeholder.number;
+        
+        // Only add if we don't already have this card number
+        if (!existingNumbers.has(cardNumber)) {
+            const placeholderCard = {
+                id: `placeholder-${setCode}-${cardNumber}`,
+                name: placeholder.name || '',
+                collector_number: cardNumber.toString(),
+                set: setCode,
+                is_placeholder: true, // Flag to identify placeholder cards
+                image_uris: null // No image for placeholders
+            };
+            
+            setCards.push(placeholderCard);
+            existingNumbers.add(cardNumber);
+            console.log(`Added placeholder card: #${cardNumber} - ${placeholder.name || '(blank)'}`);
+        }
+    });
+    
+    return setCards;
+}
+
+// Match stored entries to the loaded cards of a set: entries whose key no longer exists but whose
+// Scryfall id does (legacy id keys, renumbered cards) are moved, and placeholder entries pick up
+// the Scryfall id once the real card is published
+function reconcileCollectionState(setCode) {
+    const setState = collectionState[setCode];
+    const setCards = cardsCache[setCode];
+    if (!setState || !setCards) return;
+    
+    const cardsByKey = new Map(setCards.map(card => [getCardKey(card), card]));
+    const cardsById = new Map(setCards.map(card => [card.id, card]));
+    let changed = false;
+    
+    for (const [cardKey, cardState] of Object.entries(setState)) {
+        let card = cardsByKey.get(cardKey);
+        let targetKey = cardKey;
+        
+        if (!card && cardState.scryfallId && cardsById.has(cardState.scryfallId)) {
+            card = cardsById.get(cardState.scryfallId);
+            targetKey = getCardKey(card);
+        }
+        if (!card) continue;
+        
+        const scryfallId = card.is_placeholder ? undefined : card.id;
+        if (targetKey === cardKey && cardState.scryfallId === scryfallId) continue;
+        
+        const updated = { ...cardState, scryfallId };
+        if (targetKey !== cardKey) {
+            console.log(`Moving ${setCode.toUpperCase()} entry ${cardKey} to #${targetKey}`);
+            delete setState[cardKey];
+            setState[targetKey] = mergeCardStates(setState[targetKey], updated);
+        } else {
+            if (cardState.scryfallId && !scryfallId) {
+                continue; // Keep the last known id until the real card is back
+            }
+            setState[cardKey] = updated;
+        }
+        changed = true;
+    }
+    
+    if (changed) {
+        saveCollectionState();
+    }
+}
+
+// Cards matching the search query and the ownership filter, in the selected sort order
+function getVisibleCards() {
+    const filter = OWNERSHIP_FILTERS[preferences.ownershipFilter] || OWNERSHIP_FILTERS.all;
+    
+    const visibleCards = cards.filter(card => {
+        const cardState = getCardState(getCardKey(card));
+        if (searchQuery && !searchQuery(card, cardState)) {
+            return false;
+        }
+        
+        if (filter === OWNERSHIP_FILTERS.all) {
+            return true;
+        }
+        // Blank placeholders can't be collected, so they only show under "All"
+        if (card.is_placeholder && !card.name) {
+            return false;
+        }
+        return filter.matches(cardState);
+    });
+    return visibleCards.sort(compareCards);
+}
+
+// Compare two cards by the selected sort order, then by collector number
+function compareCards(a, b) {
+    const sortOrder = SORT_ORDERS[preferences.sortOrder] || SORT_ORDERS.number;
+    return sortOrder.compare(a, b) || compareCollectorNumbers(a, b);
+}
+
+// Compare collector numbers naturally, so letter suffixes and decimals keep their place
+function compareCollectorNumbers(a, b) {
+    return COLLECTOR_NUMBER_COLLATOR.compare(String(a.collector_number), String(b.collector_number));
+}
+
+// Compare two sort values (numbers or strings); missing values always sort last
+function compareSortValues(a, b, descending = false) {
+    const missingA = a === undefined || a === null || Number.isNaN(a);
+    const missingB = b === undefined || b === null || Number.isNaN(b);
+    if (missingA || missingB) {
+        return missingA - missingB;
+    }
+    
+    const result = typeof a === 'string' ? a.localeCompare(b) : a - b;
+    return descending ? -result : result;
+}
+
+// Rank of a card's rarity (higher is rarer), undefined when unknown
+function getRarityRank(card) {
+    const rank = RARITY_ORDER.indexOf(card.rarity);
+    return rank === -1 ? undefined : rank;
+}
+
+// Sort key for color identity: mono-colored cards in WUBRG order, then multicolored, then colorless
+function getColorSortKey(card) {
+    if (!Array.isArray(card.color_identity)) {
+        return undefined;
+    }
+    
+    const indexes = card.color_identity.map(color => COLOR_ORDER.indexOf(color)).sort();
+    const group = indexes.length === 0 ? 2 : indexes.length === 1 ? 0 : 1;
+    return `${group}${indexes.length}${indexes.join('')}`;
+}
+
+// Price of a card in one finish in the selected currency, undefined when Scryfall has none
+function getFinishPrice(card, finish, currencyKey = preferences.currency) {
+    const currency = CURRENCIES[currencyKey] || CURRENCIES.usd;
+    const prices = (card && card.prices) || {};
+    let price = parseFloat(prices[currency.fields[finish]]);
+    if (isNaN(price) && finish === 'etched') {
+        price = parseFloat(prices[currency.fields.foil]);
+    }
+    return isNaN(price) ? undefined : price;
+}
+
+// Cheapest price of a card across its finishes (what it costs to collect it), undefined when unknown
+function getCardPrice(card, currencyKey = preferences.currency) {
+    const prices = FINISHES.map(finish => getFinishPrice(card, finish, currencyKey)).filter(price => price !== undefined);
+    return prices.length > 0 ? Math.min(...prices) : undefined;
+}
+
+// Format an amount in the selected currency (or another one)
+function formatPrice(amount, currencyKey = preferences.currency) {
+    const currency = CURRENCIES[currencyKey] || CURRENCIES.usd;
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency.code }).format(amount);
+}
+
+// Value of the owned copies in a set (each finish at its own price) and the cost of the missing cards
+function getSetValue(setCode, currencyKey = preferences.currency) {
+    const setCards = cardsCache[setCode] || (setCode === currentSet ? cards : []);
+    let owned = 0;
+    let missing = 0;
+    
+    setCards.forEach(card => {
+        const cardState = getCardState(getCardKey(card), setCode);
+        if (isCardCollected(cardState)) {
+            FINISHES.forEach(finish => {
+                // Without a price for the owned finish, the card's cheapest price is the best estimate
+                const price = getFinishPrice(card, finish, currencyKey);
+                owned += getQuantity(cardState, finish) * (price !== undefined ? price : getCardPrice(card, currencyKey) || 0);
+            });
+        } else {
+            missing += getCardPrice(card, currencyKey) || 0;
+        }
+    });
+    
+    return { owned, missing };
+}
+
+// Show how many cards the search and filter leave visible (hidden when nothing is filtered)
+function updateShownCount(shown) {
+    const shownEl = document.getElementById('shown-count');
+    if (!shownEl) return;
+    
+    const isFiltered = Boolean(searchQuery) || preferences.ownershipFilter !== 'all';
+    shownEl.textContent = `· ${shown} shown`;
+    shownEl.classList.toggle('hidden', !isFiltered);
+}
+
+// Render the grid: section headers and, per section, the tiles near the viewport
+function renderCards() {
+    const container = document.getElementById('cards-container');
+    const hadFocus = container.contains(document.activeElement);
+    
+    // Hold the page height while rebuilding so the scroll position survives a filter change
+    container.style.minHeight = `${container.offsetHeight}px`;
+    container.innerHTML = '';
+    virtualGrids = [];
+    
+    if (cards.length === 0) {
+        container.style.minHeight = '';
+        container.innerHTML = '<p style="text-align: center; padding: 2rem;">No cards found.</p>';
+        return;
+    }
+    
+    // Filter cards based on search term and ownership filter
+    const cardsToRender = getVisibleCards();
+    updateShownCount(cardsToRender.length);
+    
+    if (cardsToRender.length === 0) {
+        const filter = OWNERSHIP_FILTERS[preferences.ownershipFilter];
+        const message = document.createElement('p');
+        message.style.cssText = 'text-align: center; padding: 2rem;';
+        message.textContent = `No ${filter && filter !== OWNERSHIP_FILTERS.all ? filter.label.toLowerCase() + ' ' : ''}cards found${searchQuery ? ` matching "${searchTerm}"` : ''}.`;
+        container.appendChild(message);
+        container.style.minHeight = '';
+        return;
+    }
+    
+    // Group the cards into sections (main set, basic lands, variants...); a set with only one
+    // section is shown without headers
+    const sectionKeys = Object.keys(CARD_SECTIONS);
+    const setSections = new Set(cards.map(getCardSection));
+    const showHeaders = setSections.size > 1;
+    
+    sectionKeys.forEach(sectionKey => {
+        const sectionCards = cardsToRender.filter(card => getCardSection(card) === sectionKey);
+        if (sectionCards.length === 0) return;
+        
+        const section = document.createElement('section');
+        section.className = 'card-section';
+        section.dataset.section = sectionKey;
+        
+        const collapsed = showHeaders && preferences.collapsedSections.includes(sectionKey);
+        section.classList.toggle('collapsed', collapsed);
+        if (showHeaders) {
+            section.appendChild(createSectionHeader(sectionKey, collapsed));
+        }
+        
+        const grid = document.createElement('div');
+        grid.className = 'cards-grid';
+        if (!collapsed) {
+            virtualGrids.push({ grid, cards: sectionCards, start: 0, end: 0 });
+        }
+        section.appendChild(grid);
+        container.appendChild(section);
+    });
+    
+    updateVirtualGrids();
+    container.style.minHeight = '';
+    
+    // Keep the grid's tab stop (and keyboard focus) on the same card where it's still shown
+    const tiles = getGridTiles();
+    const rovingTile = tiles.find(tile => tile.dataset.cardKey === rovingCardKey) || tiles[0];
+    if (rovingTile) {
+        rovingTile.tabIndex = 0;
+        if (hadFocus) {
+            rovingTile.focus();
+        }
+    }
+}
+
+// Render the tiles of every grid section that are in or near the viewport
+function updateVirtualGrids() {
+    virtualGrids.forEach(renderVirtualGrid);
+    
+    // The tile holding the grid's tab stop may have scrolled away; keep one tile tabbable
+    const tiles = getGridTiles();
+    if (tiles.length > 0 && !tiles.some(tile => tile.tabIndex === 0)) {
+        setRovingTile(tiles[0]);
+    }
+}
+
+// Update the grids once per frame while scrolling or resizing
+function scheduleVirtualGridUpdate(resized) {
+    if (resized) {
+        // Column count and tile height depend on the width; measure again
+        virtualGrids.forEach(virtualGrid => {
+            virtualGrid.rowHeight = 0;
+        });
+    }
+    if (virtualGridFrame !== null) return;
+    
+    virtualGridFrame = requestAnimationFrame(() => {
+        virtualGridFrame = null;
+        updateVirtualGrids();
+    });
+}
+
+// Render the rows of a section's cards that are within VIRTUAL_GRID_BUFFER of the viewport, with
+// padding standing in for the rows above and below. Tiles still in range are kept as they are.
+// Without a measurable layout (e.g. while hidden) every tile is rendered.
+function renderVirtualGrid(virtualGrid) {
+    const { grid, cards: gridCards } = virtualGrid;
+    let start = 0;
+    let end = gridCards.length;
+    
+    if (measureVirtualGrid(virtualGrid)) {
+        const { columns, rowHeight, basePadding } = virtualGrid;
+        const rowsTop = grid.getBoundingClientRect().top + basePadding;
+        const totalRows = Math.ceil(gridCards.length / columns);
+        const firstRow = Math.min(totalRows, Math.max(0, Math.floor((-VIRTUAL_GRID_BUFFER - rowsTop) / rowHeight)));
+        const lastRow = Math.min(totalRows, Math.max(firstRow, Math.ceil((window.innerHeight + VIRTUAL_GRID_BUFFER - rowsTop) / rowHeight)));
+        
+        start = firstRow * columns;
+        end = Math.min(gridCards.length, lastRow * columns);
+        grid.style.paddingTop = `${basePadding + firstRow * rowHeight}px`;
+        grid.style.paddingBottom = `${basePadding + (totalRows - lastRow) * rowHeight}px`;
+    }
+    
+    if (start === virtualGrid.start && end === virtualGrid.end) return;
+    virtualGrid.start = start;
+    virtualGrid.end = end;
+    
+    const rendered = new Map([...grid.children].map(tile => [tile.dataset.cardKey, tile]));
+    const fragment = document.createDocumentFragment();
+    gridCards.slice(start, end).forEach(card => {
+        const tile = rendered.get(getCardKey(card)) || createCardElement(card, cards.indexOf(card));
+        fragment.appendChild(tile);
+    });
+    grid.replaceChildren(fragment);
+}
+
+// Work out a section grid's column count and row height (tile height plus the row gap) from a
+// rendered tile. Returns false when the grid has no layout to measure.
+function measureVirtualGrid(virtualGrid) {
+    if (virtualGrid.rowHeight) return true;
+    
+    const { grid } = virtualGrid;
+    const style = getComputedStyle(grid);
+    const columns = style.gridTemplateColumns.split(' ').filter(width => width.endsWith('px')).length;
+    if (columns === 0) return false;
+    
+    let tile = grid.querySelector('.card-item');
+    if (!tile) {
+        tile = createCardElement(virtualGrid.cards[0], cards.indexOf(virtualGrid.cards[0]));
+        grid.appendChild(tile);
+        virtualGrid.end = 1;
+    }
+    const tileHeight = tile.getBoundingClientRect().height;
+    if (!tileHeight) return false;
+    
+    // The stylesheet's padding, before the inline padding for skipped rows replaces it
+    if (virtualGrid.basePadding === undefined) {
+        virtualGrid.basePadding = parseFloat(style.paddingTop) || 0;
+    }
+    virtualGrid.columns = columns;
+    virtualGrid.rowHeight = tileHeight + (parseFloat(style.rowGap) || 0);
+    return true;
+}
+
+// Keys of the selectable cards in every expanded section, in grid order (including tiles not rendered)
+function getGridCardKeys() {
+    return virtualGrids.flatMap(virtualGrid => virtualGrid.cards
+        .filter(card => !(card.is_placeholder && !card.name))
+        .map(getCardKey));
+}
+
+// The tile of a card, scrolling it into view first if it's outside the rendered range
+function ensureCardTile(cardKey) {
+    const selector = `.card-item[data-card-key="${cardKey}"]`;
+    const tile = document.querySelector(selector);
+    if (tile) return tile;
+    
+    const virtualGrid = virtualGrids.find(candidate => candidate.cards.some(card => getCardKey(card) === cardKey));
+    if (!virtualGrid || !virtualGrid.rowHeight) return null;
+    
+    const row = Math.floor(virtualGrid.cards.findIndex(card => getCardKey(card) === cardKey) / virtualGrid.columns);
+    const rowTop = virtualGrid.grid.getBoundingClientRect().top + virtualGrid.basePadding + row * virtualGrid.rowHeight;
+    window.scrollBy(0, rowTop - window.innerHeight / 2);
+    updateVirtualGrids();
+    return document.querySelector(selector);
+}
+
+// Create the collapsible header of a grid section with its completion count
+function createSectionHeader(sectionKey, collapsed) {
+    const header = document.createElement('button');
+    header.className = 'card-section-header';
+    header.setAttribute('aria-expanded', String(!collapsed));
+    
+    const chevron = document.createElement('span');
+    chevron.className = 'section-chevron';
+    chevron.textContent = collapsed ? '▸' : '▾';
+    
+    const label = document.createElement('span');
+    label.className = 'section-label';
+    label.textContent = CARD_SECTIONS[sectionKey].label;
+    
+    const count = document.createElement('span');
+    count.className = 'section-count';
+    
+    header.appendChild(chevron);
+    header.appendChild(label);
+    header.appendChild(count);
+    updateSectionHeader(header, sectionKey);
+    
+    header.addEventListener('click', () => toggleSection(sectionKey));
+    return header;
+}
+
+// Refresh a section header's completion count
+function updateSectionHeader(header, sectionKey) {
+    const sectionCards = cards.filter(card => getCardSection(card) === sectionKey && !(card.is_placeholder && !card.name));
+    const collected = sectionCards.filter(card => isCardCollected(getCardState(getCardKey(card)))).length;
+    const counted = !preferences.excludedSections.includes(sectionKey);
+    
+    header.querySelector('.section-count').textContent = `${collected} / ${sectionCards.length}${counted ? '' : ' · not counted'}`;
+    header.classList.toggle('complete', sectionCards.length > 0 && collected === sectionCards.length);
+}
+
+// Collapse or expand a grid section (remembered between sessions)
+function toggleSection(sectionKey) {
+    const collapsed = preferences.collapsedSections;
+    preferences.collapsedSections = collapsed.includes(sectionKey)
+        ? collapsed.filter(key => key !== sectionKey)
+        : [...collapsed, sectionKey];
+    savePreferences();
+    renderCards();
+}
+
+// Collected and total cards toward "set complete": cards in sections excluded in Settings don't count
+function getSetCompletion(setCode, setCards = cardsCache[setCode] || []) {
+    const setConfig = SETS[setCode];
+    const setState = collectionState[setCode] || {};
+    const excludedKeys = new Set(setCards
+        .filter(card => preferences.excludedSections.includes(getCardSection(card)))
+        .map(getCardKey));
+    
+    // The expected total from set config covers every section, so take the excluded cards off it
+    const expectedTotal = setConfig ? setConfig.totalCards : setCards.length;
+    const collected = Object.entries(setState)
+        .filter(([cardKey, cardState]) => isCardCollected(cardState) && !excludedKeys.has(cardKey))
+        .length;
+    
+    return { collected, total: Math.max(0, expectedTotal - excludedKeys.size) };
+}
+
+// Set up the choice of sections that count toward "set complete" in Settings
+function setupCompletionSections() {
+    const listEl = document.getElementById('completion-sections');
+    if (!listEl) return;
+    
+    Object.entries(CARD_SECTIONS).forEach(([sectionKey, section]) => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-field';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !preferences.excludedSections.includes(sectionKey);
+        checkbox.addEventListener('change', () => {
+            const excluded = preferences.excludedSections.filter(key => key !== sectionKey);
+            preferences.excludedSections = checkbox.checked ? excluded : [...excluded, sectionKey];
+            savePreferences();
+            renderCards();
+            updateStats();
+        });
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${section.label}`));
+        listEl.appendChild(label);
+    });
+}
+
+// Create the tile for a card (index is its position in the set, used when it has no collector number)
+function createCardElement(card, index) {
+    const cardKey = card.collector_number ? getCardKey(card) : `card-${index}`;
+    
+    // Get collection state for current set
+    if (!collectionState[currentSet]) {
+        collectionState[currentSet] = {};
+    }
+    
+    const cardState = getCardState(cardKey);
+    const isCollected = isCardCollected(cardState);
+    const collectorNumber = card.collector_number || index + 1;
+    
+    // Handle both regular cards and double-faced cards
+    // For placeholder cards, use a blank placeholder image
+    let imageUrl = '';
+    const isPlaceholder = card.is_placeholder === true;
+    
+    if (isPlaceholder) {
+        // Create a blank placeholder image for cards not in Scryfall
+        imageUrl = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="200" height="280"%3E%3Crect fill="%23222" width="200" height="280"/%3E%3Crect fill="%23333" x="10" y="10" width="180" height="260" rx="5"/%3C/svg%3E';
+    } else if (card.image_uris) {
+        imageUrl = card.image_uris.normal || card.image_uris.large || '';
+    } else if (card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris) {
+        // Use the front face of double-faced cards
+        imageUrl = card.card_faces[0].image_uris.normal || card.card_faces[0].image_uris.large || '';
+    }
+    
+    const cardElement = document.createElement('div');
+    cardElement.className = `card-item ${isCollected ? 'collected' : ''} ${isPlaceholder ? 'placeholder' : ''}`;
+    cardElement.dataset.cardKey = cardKey;
+    cardElement.classList.toggle('bulk-selected', bulkSelection.has(cardKey));
+    // Only make placeholder cards non-selectable if they have empty names (blank placeholders)
+    if (isPlaceholder && (!card.name || card.name.trim() === '')) {
+        cardElement.classList.add('non-selectable');
+        cardElement.style.cursor = 'default';
+        cardElement.setAttribute('aria-hidden', 'true');
+        // Don't add click handler for blank placeholder cards
+    } else {
+        // A toggle button for screen readers, reached with the arrow keys (see setupGridKeyboard)
+        cardElement.setAttribute('role', 'button');
+        cardElement.tabIndex = cardKey === rovingCardKey ? 0 : -1;
+        updateCardTileLabel(cardElement, card, cardState);
+
+        cardElement.addEventListener('click', (e) => {
+            if (bulkMode) {
+                selectBulkCard(cardKey, e.shiftKey);
+            } else {
+                toggleCard(cardKey);
+            }
+        });
+    }
+    
+    const img = document.createElement('img');
+    img.src = imageUrl;
+    img.alt = card.name || `Card ${collectorNumber}`;
+    img.className = 'card-image';
+    img.loading = 'lazy';
+    
+    // Handle image load errors (only for non-placeholder cards)
+    if (!isPlaceholder) {
+        img.onerror = function() {
+            this.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="200" height="280"%3E%3Crect fill="%23333" width="200" height="280"/%3E%3Ctext fill="%23fff" x="50%25" y="50%25" text-anchor="middle" dy=".3em"%3EImage not available%3C/text%3E%3C/svg%3E';
+        };
+    }
+    
+    // Get card name (handle double-faced cards)
+    const cardName = getCardName(card) || `Card ${collectorNumber}`;
+    
+    const infoLabel = document.createElement('div');
+    infoLabel.className = 'card-info';
+    
+    const numberLabel = document.createElement('span');
+    numberLabel.className = 'card-number';
+    numberLabel.textContent = `#${collectorNumber}`;
+    
+    const nameLabel = document.createElement('span');
+    nameLabel.className = 'card-name';
+    nameLabel.textContent = cardName;
+    
+    infoLabel.appendChild(numberLabel);
+    infoLabel.appendChild(nameLabel);
+    
+    const price = getCardPrice(card);
+    if (price !== undefined) {
+        const priceLabel = document.createElement('span');
+        priceLabel.className = 'card-price';
+        priceLabel.textContent = formatPrice(price);
+        infoLabel.appendChild(priceLabel);
+    }
+    
+    cardElement.appendChild(img);
+    cardElement.appendChild(infoLabel);
+    
+    // Add per-finish quantity counters for collected cards
+    if (isCollected) {
+        cardElement.appendChild(createFinishCounters(card, cardKey, cardState));
+    }
+    
+    // Wishlist badge (or a button to add the card) and the details button, except on blank placeholders
+    if (!cardElement.classList.contains('non-selectable')) {
+        cardElement.appendChild(createWishlistBadge(card, cardKey, cardState));
+        
+        const detailBtn = document.createElement('button');
+        detailBtn.className = 'card-detail-btn';
+        detailBtn.textContent = 'ⓘ';
+        detailBtn.title = 'Details';
+        detailBtn.tabIndex = -1; // Enter on the tile opens the details
+        detailBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showCardDetail(cardKey);
+        });
+        cardElement.appendChild(detailBtn);
+    }
+    
+    return cardElement;
+}
+
+// Create +/- quantity counters for each finish of a card
+function createFinishCounters(card, cardKey, cardState) {
+    const container = document.createElement('div');
+    container.className = 'finish-counters';
+    
+    getCardFinishes(card, cardState).forEach(finish => {
+        const quantity = getQuantity(cardState, finish);
+        
+        const row = document.createElement('div');
+        row.className = `finish-counter ${finish} ${quantity > 0 ? 'owned' : ''}`;
+        row.title = FINISH_LABELS[finish];
+        row.setAttribute('role', 'group');
+        row.setAttribute('aria-label', `${FINISH_LABELS[finish]}: ${quantity}`);
+        
+        // The tile is the keyboard stop; its counters are for pointer use (the details dialog has them too)
+        const minusBtn = document.createElement('button');
+        minusBtn.className = 'quantity-btn';
+        minusBtn.textContent = '−';
+        minusBtn.title = `Remove a ${FINISH_LABELS[finish].toLowerCase()} copy`;
+        minusBtn.setAttribute('aria-label', minusBtn.title);
+        minusBtn.tabIndex = -1;
+        minusBtn.disabled = quantity === 0;
+        minusBtn.addEventListener('click', () => changeQuantity(cardKey, finish, -1));
+        
+        const countLabel = document.createElement('span');
+        countLabel.className = 'quantity-count';
+        countLabel.textContent = quantity;
+        
+        const plusBtn = document.createElement('button');
+        plusBtn.className = 'quantity-btn';
+        plusBtn.textContent = '+';
+        plusBtn.title = `Add a ${FINISH_LABELS[finish].toLowerCase()} copy`;
+        plusBtn.setAttribute('aria-label', plusBtn.title);
+        plusBtn.tabIndex = -1;
+        plusBtn.addEventListener('click', () => changeQuantity(cardKey, finish, 1));
+        
+        row.appendChild(createFinishStar(finish));
+        row.appendChild(minusBtn);
+        row.appendChild(countLabel);
+        row.appendChild(plusBtn);
+        container.appendChild(row);
+    });
+    
+    // Prevent card toggle when using the counters
+    container.addEventListener('click', (e) => {
+        e.stopPropagation();
+    });
+    
+    return container;
+}
+
+// Create finish star icon (9-pointed star): outline for non-foil, filled for foil finishes
+function createFinishStar(finish) {
+    const starSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    starSvg.setAttribute('viewBox', '0 0 100 100');
+    starSvg.setAttribute('class', `foil-star ${finish}`);
+    starSvg.setAttribute('aria-hidden', 'true'); // Decorative: the finish is in the surrounding label
+    
+    // Create 9-pointed star path
+    const centerX = 50;
+    const centerY = 50;
+    const outerRadius = 40;
+    const innerRadius = 20;
+    const points = 9;
+    let pathData = '';
+    
+    for (let i = 0; i < points * 2; i++) {
+        const angle = (i * Math.PI) / points - Math.PI / 2;
+        const radius = i % 2 === 0 ? outerRadius : innerRadius;
+        const x = centerX + radius * Math.cos(angle);
+        const y = centerY + radius * Math.sin(angle);
+        pathData += (i === 0 ? 'M' : 'L') + x + ' ' + y + ' ';
+    }
+    pathData += 'Z';
+    
+    const starColors = { nonfoil: 'none', foil: '#C0C0C0', etched: '#D4A843' };
+    const fill = starColors[finish] || 'none';
+    
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', pathData);
+    path.setAttribute('fill', fill);
+    path.setAttribute('stroke', fill === 'none' ? '#ffffff' : fill);
+    path.setAttribute('stroke-width', '2.5');
+    path.setAttribute('stroke-linejoin', 'round');
+    path.setAttribute('stroke-linecap', 'round');
+    
+    starSvg.appendChild(path);
+    return starSvg;
+}
+
+// Toggle card collection state
+function toggleCard(cardKey) {
+    const currentState = getCardState(cardKey);
+    const card = findCardByKey(cardKey);
+    const cardName = (card && getCardName(card)) || `#${cardKey}`;
+    
+    if (isCardCollected(currentState)) {
+        // Removing the card clears every finish (undoable from the toast or with Ctrl+Z)
+        recordCollectionChange(`Removed "${cardName}"`, [cardKey], () => {
+            FINISHES.forEach(finish => setQuantity(cardKey, finish, 0));
+        });
+    } else {
+        // Collecting a card adds one copy in its default finish and takes it off the wishlist
+        recordCollectionChange(`Collected "${cardName}"`, [cardKey], () => {
+            setQuantity(cardKey, getCardFinishes(card, currentState)[0], 1, currentSet, preferences.acquisitionSource);
+            setWishlistEntry(cardKey, null);
+        });
+    }
+    saveCollectionState();
+    
+    updateCardElement(cardKey);
+    updateStats();
+}
+
+// Toggle foil ownership of a card: remove every foil and etched copy, or add one foil copy
+function toggleFoil(cardKey) {
+    const cardState = getCardState(cardKey);
+    const card = findCardByKey(cardKey);
+    const cardName = (card && getCardName(card)) || `#${cardKey}`;
+    
+    if (hasFoilCopy(cardState)) {
+        recordCollectionChange(`Removed the foil copies of "${cardName}"`, [cardKey], () => {
+            FINISHES.filter(finish => finish !== 'nonfoil').forEach(finish => setQuantity(cardKey, finish, 0));
+        });
+    } else {
+        const foilFinish = getFoilFinish(card, cardState);
+        if (!foilFinish) {
+            showToast(`"${cardName}" has no foil printing`);
+            return;
+        }
+        recordCollectionChange(`Added a ${FINISH_LABELS[foilFinish].toLowerCase()} "${cardName}"`, [cardKey], () => {
+            setQuantity(cardKey, foilFinish, 1, currentSet, preferences.acquisitionSource);
+            setWishlistEntry(cardKey, null);
+        });
+    }
+    saveCollectionState();
+    
+    updateCardElement(cardKey);
+    updateStats();
+}
+
+// Whether any foil or etched copy of a card is owned
+function hasFoilCopy(cardState) {
+    return FINISHES.some(finish => finish !== 'nonfoil' && getQuantity(cardState, finish) > 0);
+}
+
+// The foil finish a card comes in (foil before etched), undefined for non-foil-only printings
+function getFoilFinish(card, cardState) {
+    return getCardFinishes(card, cardState).find(finish => finish !== 'nonfoil');
+}
+
+// Add or remove copies of a card in one finish
+function changeQuantity(cardKey, finish, delta) {
+    const currentQuantity = getQuantity(getCardState(cardKey), finish);
+    const card = findCardByKey(cardKey);
+    const cardName = (card && getCardName(card)) || `#${cardKey}`;
+    const label = `${delta > 0 ? 'Added' : 'Removed'} a ${FINISH_LABELS[finish].toLowerCase()} copy of "${cardName}"`;
+    
+    recordCollectionChange(label, [cardKey], () => {
+        setQuantity(cardKey, finish, Math.max(0, currentQuantity + delta), currentSet, preferences.acquisitionSource);
+    });
+    saveCollectionState();
+    
+    updateCardElement(cardKey);
+    updateStats();
+}
+
+// Copy of a card entry for the undo history (null when the card has no entry)
+function cloneCardState(cardState) {
+    return cardState ? JSON.parse(JSON.stringify(cardState)) : null;
+}
+
+// Make a change to some cards of a set as one undoable step, then offer Undo in a toast.
+// applyChange mutates collectionState; callers save and refresh the grid as usual.
+function recordCollectionChange(label, cardKeys, applyChange, setCode = currentSet) {
+    const getEntry = cardKey => cloneCardState(collectionState[setCode] && collectionState[setCode][cardKey]);
+    const before = cardKeys.map(getEntry);
+    
+    applyChange();
+    
+    const changes = cardKeys
+        .map((cardKey, index) => ({ cardKey, before: before[index], after: getEntry(cardKey) }))
+        .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+    if (changes.length === 0) return;
+    
+    undoStack.push({ label, setCode, changes });
+    if (undoStack.length > UNDO_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack = [];
+    saveUndoHistory();
+    showToast(label, 'Undo', undo);
+}
+
+// Undo the most recent change
+function undo() {
+    const entry = undoStack.pop();
+    if (!entry) {
+        showToast('Nothing to undo');
+        return;
+    }
+    
+    applyHistoryEntry(entry, 'before');
+    redoStack.push(entry);
+    saveUndoHistory();
+    showToast(`Undone: ${entry.label}`, 'Redo', redo);
+}
+
+// Redo the most recently undone change
+function redo() {
+    const entry = redoStack.pop();
+    if (!entry) {
+        showToast('Nothing to redo');
+        return;
+    }
+    
+    applyHistoryEntry(entry, 'after');
+    undoStack.push(entry);
+    saveUndoHistory();
+    showToast(`Redone: ${entry.label}`, 'Undo', undo);
+}
+
+// Restore the card entries of a history entry as they were before or after the change
+function applyHistoryEntry(entry, side) {
+    if (!collectionState[entry.setCode]) {
+        collectionState[entry.setCode] = {};
+    }
+    
+    entry.changes.forEach(change => {
+        const cardState = cloneCardState(change[side]);
+        recordActivity(entry.setCode, change.cardKey, collectionState[entry.setCode][change.cardKey], cardState);
+        if (cardState) {
+            collectionState[entry.setCode][change.cardKey] = cardState;
+        } else {
+            delete collectionState[entry.setCode][change.cardKey];
+        }
+    });
+    saveCollectionState();
+    
+    if (entry.setCode === currentSet) {
+        entry.changes.forEach(change => updateCardElement(change.cardKey));
+        updateStats();
+    }
+}
+
+// Keep the active profile's undo history for the rest of the browser session (it survives a reload)
+function saveUndoHistory() {
+    try {
+        sessionStorage.setItem(getProfileStorageKey(activeProfileId, UNDO_STORAGE_KEY), JSON.stringify({ undo: undoStack, redo: redoStack }));
+    } catch (e) {
+        console.error('Error saving undo history:', e);
+    }
+}
+
+// Restore the active profile's undo history saved earlier in this session
+function loadUndoHistory() {
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(getProfileStorageKey(activeProfileId, UNDO_STORAGE_KEY)) || '{}');
+        undoStack = Array.isArray(saved.undo) ? saved.undo : [];
+        redoStack = Array.isArray(saved.redo) ? saved.redo : [];
+    } catch (e) {
+        console.error('Error loading undo history:', e);
+        undoStack = [];
+        redoStack = [];
+    }
+}
+
+// Set up undo/redo: restore this session's history and add the keyboard shortcuts
+function setupUndo() {
+    loadUndoHistory();
+    
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        
+        // Leave text fields their own undo
+        const target = e.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) {
+            return;
+        }
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    });
+}
+
+// Show a short non-blocking message, optionally with an action button (e.g. Undo)
+function showToast(message, actionLabel, action) {
+    const toast = document.getElementById('toast');
+    const messageEl = document.getElementById('toast-message');
+    const actionBtn = document.getElementById('toast-action');
+    if (!toast || !messageEl || !actionBtn) return;
+    
+    messageEl.textContent = message;
+    actionBtn.classList.toggle('hidden', !action);
+    actionBtn.textContent = actionLabel || '';
+    actionBtn.onclick = action ? () => {
+        hideToast();
+        action();
+    } : null;
+    toast.classList.remove('hidden');
+    
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, TOAST_DURATION);
+}
+
+// Hide the toast
+function hideToast() {
+    const toast = document.getElementById('toast');
+    if (toast) {
+        toast.classList.add('hidden');
+    }
+    clearTimeout(toastTimer);
+}
+
+// Set up keyboard use of the grid. The grid is a single tab stop: arrow keys (and Home/End) move
+// between tiles, Space toggles collected (or the selection in bulk mode), F toggles foil and
+// Enter opens the card's details.
+function setupGridKeyboard() {
+    const container = document.getElementById('cards-container');
+    if (!container) return;
+    
+    container.addEventListener('keydown', (e) => {
+        const tile = e.target;
+        if (!tile.classList || !tile.classList.contains('card-item') || e.ctrlKey || e.metaKey || e.altKey) return;
+        
+        // The detail dialog handles the keys while it's open
+        if (detailCardKey !== null) return;
+        
+        // Tiles outside the rendered range are rendered on the way (the rows around the focused
+        // tile are always rendered, so moving up and down can use the layout)
+        const cardKey = tile.dataset.cardKey;
+        const cardKeys = getGridCardKeys();
+        const index = cardKeys.indexOf(cardKey);
+        const tileAt = (position) => cardKeys[position] !== undefined ? ensureCardTile(cardKeys[position]) : null;
+        let target = null;
+        
+        switch (e.key) {
+            case 'ArrowRight':
+                target = tileAt(index + 1);
+                break;
+            case 'ArrowLeft':
+                target = tileAt(index - 1);
+                break;
+            case 'ArrowDown':
+                target = getTileInNextRow(getGridTiles(), tile, 1);
+                break;
+            case 'ArrowUp':
+                target = getTileInNextRow(getGridTiles(), tile, -1);
+                break;
+            case 'Home':
+                target = tileAt(0);
+                break;
+            case 'End':
+                target = tileAt(cardKeys.length - 1);
+                break;
+            case ' ':
+                if (bulkMode) {
+                    selectBulkCard(cardKey, e.shiftKey);
+                } else {
+                    toggleCard(cardKey);
+                }
+                break;
+            case 'f':
+            case 'F':
+                toggleFoil(cardKey);
+                break;
+            case 'Enter':
+                showCardDetail(cardKey);
+                break;
+            default:
+                return;
+        }
+        
+        e.preventDefault();
+        if (target) {
+            focusCardTile(target);
+        }
+    });
+    
+    // Clicking a tile moves the tab stop to it as well
+    container.addEventListener('focusin', (e) => {
+        if (e.target.classList && e.target.classList.contains('card-item')) {
+            setRovingTile(e.target);
+        }
+    });
+}
+
+// Tiles that can be focused, in grid order (blank placeholders are skipped)
+function getGridTiles() {
+    return [...document.querySelectorAll('#cards-container .card-item:not(.non-selectable)')];
+}
+
+// The tile in the row below (direction 1) or above (-1) closest to a tile's column, from the layout
+function getTileInNextRow(tiles, tile, direction) {
+    const rect = tile.getBoundingClientRect();
+    const center = rect.left + rect.width / 2;
+    const rows = tiles
+        .map(other => ({ tile: other, rect: other.getBoundingClientRect() }))
+        .filter(({ rect: other }) => direction > 0 ? other.top >= rect.bottom - 1 : other.bottom <= rect.top + 1);
+    if (rows.length === 0) return null;
+    
+    const rowTop = direction > 0
+        ? Math.min(...rows.map(row => row.rect.top))
+        : Math.max(...rows.map(row => row.rect.top));
+    const distance = ({ rect: other }) => Math.abs(other.left + other.width / 2 - center);
+    return rows
+        .filter(row => Math.abs(row.rect.top - rowTop) < 1)
+        .reduce((best, row) => distance(row) < distance(best) ? row : best)
+        .tile;
+}
+
+// Make a tile the grid's tab stop
+function setRovingTile(tile) {
+    getGridTiles().forEach(other => {
+        if (other !== tile) {
+            other.tabIndex = -1;
+        }
+    });
+    tile.tabIndex = 0;
+    rovingCardKey = tile.dataset.cardKey;
+}
+
+// Move keyboard focus (and the tab stop) to a tile
+function focusCardTile(tile) {
+    setRovingTile(tile);
+    tile.focus();
+}
+
+// Describe a tile for screen readers: name, owned copies per finish, wishlist and bulk selection.
+// aria-pressed tells whether the card is collected.
+function updateCardTileLabel(cardElement, card, cardState) {
+    if (cardElement.classList.contains('non-selectable')) return;
+    
+    const cardKey = cardElement.dataset.cardKey;
+    const collected = isCardCollected(cardState);
+    const parts = [`${(card && getCardName(card)) || `Card ${cardKey}`}, number ${card ? card.collector_number : cardKey}`];
+    if (collected) {
+        const owned = FINISHES
+            .filter(finish => getQuantity(cardState, finish) > 0)
+            .map(finish => `${getQuantity(cardState, finish)} ${FINISH_LABELS[finish].toLowerCase()}`);
+        parts.push(`collected: ${owned.join(', ')}`);
+    } else {
+        parts.push('not collected');
+    }
+    if (cardState.want) {
+        parts.push('on wishlist');
+    }
+    if (bulkSelection.has(cardKey)) {
+        parts.push('selected');
+    }
+    
+    cardElement.setAttribute('aria-label', parts.join('; '));
+    cardElement.setAttribute('aria-pressed', String(collected));
+}
+
+// Read a stats change out to screen readers (not on first load or when switching sets)
+function announceStats(text) {
+    const announcer = document.getElementById('stats-announcer');
+    const previous = lastStatsAnnouncement;
+    lastStatsAnnouncement = { setCode: currentSet, text };
+    if (!announcer || !previous || previous.setCode !== currentSet || previous.text === text) return;
+    
+    announcer.textContent = text;
+}
+
+// Set up bulk mode: the toggle button, the action bar and long-press painting over the grid
+function setupBulkMode() {
+    const bulkBtn = document.getElementById('bulk-mode-btn');
+    const bulkBar = document.getElementById('bulk-bar');
+    const container = document.getElementById('cards-container');
+    if (!bulkBtn || !bulkBar || !container) return;
+    
+    bulkBtn.addEventListener('click', () => setBulkMode(!bulkMode));
+    
+    bulkBar.querySelectorAll('[data-bulk-action]').forEach(button => {
+        button.addEventListener('click', () => applyBulkAction(button.dataset.bulkAction));
+    });
+    document.getElementById('bulk-clear-btn').addEventListener('click', clearBulkSelection);
+    document.getElementById('bulk-done-btn').addEventListener('click', () => setBulkMode(false));
+    
+    // Escape leaves bulk mode, unless it's closing the card detail dialog opened on top of the grid
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && bulkMode && detailCardKey === null) {
+            setBulkMode(false);
+        }
+    });
+    
+    // Long press on a tile, then drag across tiles to paint the selection
+    container.addEventListener('pointerdown', (e) => {
+        const tile = getBulkTileAt(e.target);
+        if (!bulkMode || !tile || e.button !== 0) return;
+        
+        const cardKey = tile.dataset.cardKey;
+        bulkPress = { startX: e.clientX, startY: e.clientY, painting: false, select: !bulkSelection.has(cardKey) };
+        bulkPress.timer = setTimeout(() => {
+            bulkPress.painting = true;
+            container.classList.add('bulk-painting');
+            paintBulkCard(cardKey);
+        }, BULK_LONG_PRESS_DELAY);
+    });
+    
+    container.addEventListener('pointermove', (e) => {
+        if (!bulkPress) return;
+        
+        if (!bulkPress.painting) {
+            // Moving before the long press fires is a scroll, not a paint
+            if (Math.hypot(e.clientX - bulkPress.startX, e.clientY - bulkPress.startY) > BULK_LONG_PRESS_TOLERANCE) {
+                endBulkPress();
+            }
+            return;
+        }
+        
+        // Pointer events stay on the pressed tile (touch captures them), so find the tile under the pointer
+        const tile = getBulkTileAt(document.elementFromPoint(e.clientX, e.clientY));
+        if (tile) {
+            paintBulkCard(tile.dataset.cardKey);
+        }
+    });
+    
+    // Keep touch drags from scrolling the page while painting
+    container.addEventListener('touchmove', (e) => {
+        if (bulkPress && bulkPress.painting) {
+            e.preventDefault();
+        }
+    }, { passive: false });
+    
+    ['pointerup', 'pointercancel'].forEach(type => {
+        container.addEventListener(type, () => {
+            if (!bulkPress) return;
+            
+            if (bulkPress.painting) {
+                // The click that ends a paint (if the browser sends one) shouldn't toggle the last tile again
+                const swallowClick = (e) => e.stopPropagation();
+                container.addEventListener('click', swallowClick, { capture: true, once: true });
+                setTimeout(() => container.removeEventListener('click', swallowClick, { capture: true }), BULK_LONG_PRESS_DELAY);
+            }
+            endBulkPress();
+        });
+    });
+}
+
+// Turn bulk mode on or off (turning it off clears the selection)
+function setBulkMode(enabled) {
+    bulkMode = enabled;
+    if (!enabled) {
+        clearBulkSelection();
+    }
+    
+    document.body.classList.toggle('bulk-mode', enabled);
+    const bulkBtn = document.getElementById('bulk-mode-btn');
+    if (bulkBtn) {
+        bulkBtn.classList.toggle('active', enabled);
+        bulkBtn.setAttribute('aria-pressed', String(enabled));
+    }
+    updateBulkBar();
+}
+
+// The selectable tile an element belongs to, if any
+function getBulkTileAt(element) {
+    const tile = element && element.closest ? element.closest('.card-item') : null;
+    return tile && !tile.classList.contains('non-selectable') ? tile : null;
+}
+
+// Tap in bulk mode: toggle a card, or with Shift select every shown card between the last tapped one and this
+function selectBulkCard(cardKey, extendRange) {
+    if (extendRange && bulkAnchorKey !== null) {
+        const [low, high] = [bulkAnchorKey, cardKey].sort(COLLECTOR_NUMBER_COLLATOR.compare);
+        getGridCardKeys().forEach(shownKey => {
+            if (COLLECTOR_NUMBER_COLLATOR.compare(shownKey, low) >= 0 && COLLECTOR_NUMBER_COLLATOR.compare(shownKey, high) <= 0) {
+                setBulkSelected(shownKey, true);
+            }
+        });
+    } else {
+        setBulkSelected(cardKey, !bulkSelection.has(cardKey));
+    }
+    
+    bulkAnchorKey = cardKey;
+    updateBulkBar();
+}
+
+// Select or deselect a card dragged over while painting (the first tile decides which)
+function paintBulkCard(cardKey) {
+    setBulkSelected(cardKey, bulkPress.select);
+    bulkAnchorKey = cardKey;
+    updateBulkBar();
+}
+
+// Stop waiting for a long press or end a paint
+function endBulkPress() {
+    if (!bulkPress) return;
+    
+    clearTimeout(bulkPress.timer);
+    bulkPress = null;
+    const container = document.getElementById('cards-container');
+    if (container) {
+        container.classList.remove('bulk-painting');
+    }
+}
+
+// Add a card to the selection or remove it, updating its tile
+function setBulkSelected(cardKey, selected) {
+    if (selected) {
+        bulkSelection.add(cardKey);
+    } else {
+        bulkSelection.delete(cardKey);
+    }
+    
+    const tile = document.querySelector(`.card-item[data-card-key="${cardKey}"]`);
+    if (tile) {
+        tile.classList.toggle('bulk-selected', selected);
+        updateCardTileLabel(tile, findCardByKey(cardKey), getCardState(cardKey));
+    }
+}
+
+// Deselect every card
+function clearBulkSelection() {
+    bulkSelection.forEach(cardKey => setBulkSelected(cardKey, false));
+    bulkAnchorKey = null;
+    updateBulkBar();
+}
+
+// Show the action bar with the selection count while bulk mode is on
+function updateBulkBar() {
+    const bulkBar = document.getElementById('bulk-bar');
+    if (!bulkBar) return;
+    
+    bulkBar.classList.toggle('hidden', !bulkMode);
+    const count = bulkSelection.size;
+    document.getElementById('bulk-count').textContent = `${count} ${count === 1 ? 'card' : 'cards'} selected`;
+    bulkBar.querySelectorAll('[data-bulk-action], #bulk-clear-btn').forEach(button => {
+        button.disabled = count === 0;
+    });
+}
+
+// Apply an action to every selected card with a single save and a single undo step:
+// 'collect', 'uncollect', 'foil' (at least one foil copy) or 'add' (one more copy)
+function applyBulkAction(action) {
+    const cardKeys = [...bulkSelection].sort(COLLECTOR_NUMBER_COLLATOR.compare);
+    if (cardKeys.length === 0) return;
+    
+    const source = preferences.acquisitionSource;
+    const count = `${cardKeys.length} ${cardKeys.length === 1 ? 'card' : 'cards'}`;
+    const labels = {
+        collect: `Marked ${count} collected`,
+        uncollect: `Marked ${count} not collected`,
+        foil: `Marked ${count} foil`,
+        add: `Added a copy of ${count}`
+    };
+    
+    recordCollectionChange(labels[action], cardKeys, () => {
+        cardKeys.forEach(cardKey => {
+            const cardState = getCardState(cardKey);
+            const card = findCardByKey(cardKey);
+            const defaultFinish = getCardFinishes(card, cardState)[0];
+            
+            if (action === 'collect') {
+                if (!isCardCollected(cardState)) {
+                    setQuantity(cardKey, defaultFinish, 1, currentSet, source);
+                    setWishlistEntry(cardKey, null);
+                }
+            } else if (action === 'uncollect') {
+                FINISHES.forEach(finish => setQuantity(cardKey, finish, 0));
+            } else if (action === 'foil') {
+                // Cards printed without a foil finish are left alone
+                const foilFinish = getFoilFinish(card, cardState);
+                if (foilFinish && !hasFoilCopy(cardState)) {
+                    setQuantity(cardKey, foilFinish, 1, currentSet, source);
+                    setWishlistEntry(cardKey, null);
+                }
+            } else if (action === 'add') {
+                setQuantity(cardKey, defaultFinish, getQuantity(cardState, defaultFinish) + 1, currentSet, source);
+                setWishlistEntry(cardKey, null);
+            }
+        });
+    });
+    saveCollectionState();
+    
+    cardKeys.forEach(updateCardElement);
+    updateStats();
+}
+
+// Set up the card detail dialog: closing, previous/next (also with the arrow keys) and flipping faces
+function setupCardDetail() {
+    const modal = document.getElementById('card-detail-modal');
+    if (!modal) return;
+    
+    document.getElementById('close-card-detail-btn').addEventListener('click', hideCardDetail);
+    document.getElementById('card-detail-prev').addEventListener('click', () => showAdjacentCardDetail(-1));
+    document.getElementById('card-detail-next').addEventListener('click', () => showAdjacentCardDetail(1));
+    document.getElementById('card-detail-flip').addEventListener('click', () => {
+        detailFaceIndex++;
+        renderCardDetail();
+    });
+    
+    // Close when clicking outside
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            hideCardDetail();
+        }
+    });
+    
+    document.addEventListener('keydown', (e) => {
+        if (detailCardKey === null) return;
+        
+        // The wishlist editor opens on top of the detail dialog
+        const wishlistModal = document.getElementById('wishlist-modal');
+        if (wishlistModal && !wishlistModal.classList.contains('hidden')) return;
+        
+        const target = e.target;
+        const typing = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT');
+        if (e.key === 'Escape') {
+            hideCardDetail();
+        } else if (e.key === 'Tab') {
+            trapCardDetailFocus(e);
+        } else if (e.key === 'ArrowLeft' && !typing) {
+            showAdjacentCardDetail(-1);
+        } else if (e.key === 'ArrowRight' && !typing) {
+            showAdjacentCardDetail(1);
+        }
+    });
+}
+
+// Open the detail dialog for a card of the current set; previous/next follow the grid's current order
+// (section by section, skipping collapsed sections)
+function showCardDetail(cardKey) {
+    const modal = document.getElementById('card-detail-modal');
+    if (!modal) return;
+    
+    detailOrder = getGridCardKeys();
+    detailCardKey = cardKey;
+    detailFaceIndex = 0;
+    modal.classList.remove('hidden');
+    renderCardDetail();
+    
+    // Move keyboard focus into the dialog so the grid's keys don't act on the hidden grid
+    document.getElementById('close-card-detail-btn').focus();
+}
+
+// Keep Tab and Shift+Tab cycling through the detail dialog's controls
+function trapCardDetailFocus(e) {
+    const content = document.querySelector('#card-detail-modal .settings-content');
+    const focusable = [...content.querySelectorAll('button, input, select, textarea, a[href]')]
+        .filter(element => !element.disabled && !element.closest('.hidden'));
+    if (focusable.length === 0) return;
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = content.contains(document.activeElement);
+    if (e.shiftKey && (!inside || document.activeElement === first)) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+// Close the detail dialog
+function hideCardDetail() {
+    const modal = document.getElementById('card-detail-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+    
+    // Return keyboard focus to the tile of the card shown last (rendering it if it was scrolled away)
+    const tile = detailCardKey !== null ? ensureCardTile(detailCardKey) : null;
+    detailCardKey = null;
+    if (tile) {
+        focusCardTile(tile);
+    }
+}
+
+// Show the previous (-1) or next (1) card in the order the dialog was opened with
+function showAdjacentCardDetail(offset) {
+    const index = detailOrder.indexOf(detailCardKey);
+    const cardKey = index === -1 ? undefined : detailOrder[index + offset];
+    if (cardKey === undefined) return;
+    
+    detailCardKey = cardKey;
+    detailFaceIndex = 0;
+    renderCardDetail();
+}
+
+// Fill the detail dialog for the current card: image, card text, prices and ownership controls
+function renderCardDetail() {
+    const card = findCardByKey(detailCardKey);
+    if (!card) {
+        hideCardDetail();
+        return;
+    }
+    
+    const cardKey = detailCardKey;
+    const cardState = getCardState(cardKey);
+    const faces = Array.isArray(card.card_faces) && card.card_faces.length > 1 ? card.card_faces : null;
+    const face = faces ? faces[detailFaceIndex % faces.length] : card;
+    
+    document.getElementById('card-detail-title').textContent = `#${card.collector_number} ${card.name || getCardName(card)}`;
+    
+    const index = detailOrder.indexOf(cardKey);
+    document.getElementById('card-detail-prev').disabled = index <= 0;
+    document.getElementById('card-detail-next').disabled = index === -1 || index === detailOrder.length - 1;
+    
+    // Large image of the shown face (cards like split cards have one image for all faces)
+    const img = document.getElementById('card-detail-img');
+    const imageUris = (face && face.image_uris) || card.image_uris;
+    const imageUrl = imageUris ? imageUris.large || imageUris.normal || '' : '';
+    img.classList.toggle('hidden', !imageUrl);
+    img.src = imageUrl;
+    img.alt = (face && face.name) || getCardName(card);
+    
+    const flipBtn = document.getElementById('card-detail-flip');
+    flipBtn.classList.toggle('hidden', !faces);
+    if (faces) {
+        flipBtn.textContent = `↻ ${faces[(detailFaceIndex + 1) % faces.length].name}`;
+        flipBtn.title = 'Show the other face';
+    }
+    
+    renderCardDetailInfo(card, face, cardState);
+    renderCardDetailOwnership(card, cardKey, cardState);
+}
+
+// Card text, details, prices and the Scryfall link of the detail dialog
+function renderCardDetailInfo(card, face, cardState) {
+    const infoEl = document.getElementById('card-detail-info');
+    infoEl.innerHTML = '';
+    
+    const heading = document.createElement('p');
+    heading.className = 'card-detail-name';
+    heading.textContent = [face.name || getCardName(card), face.mana_cost].filter(Boolean).join('  ');
+    infoEl.appendChild(heading);
+    
+    const typeLine = face.type_line || card.type_line;
+    if (typeLine) {
+        const type = document.createElement('p');
+        type.className = 'card-detail-type';
+        type.textContent = typeLine;
+        infoEl.appendChild(type);
+    }
+    
+    const oracleText = face.oracle_text || (face === card ? '' : card.oracle_text);
+    if (oracleText) {
+        const oracle = document.createElement('p');
+        oracle.className = 'card-detail-oracle';
+        oracle.textContent = oracleText;
+        infoEl.appendChild(oracle);
+    }
+    
+    const details = document.createElement('dl');
+    details.className = 'card-detail-facts';
+    const addDetail = (label, value) => {
+        if (!value) return;
+        const dt = document.createElement('dt');
+        dt.textContent = label;
+        const dd = document.createElement('dd');
+        dd.textContent = value;
+        details.appendChild(dt);
+        details.appendChild(dd);
+    };
+    if (face.power !== undefined && face.toughness !== undefined) {
+        addDetail('P/T', `${face.power}/${face.toughness}`);
+    }
+    addDetail('Rarity', card.rarity ? card.rarity.charAt(0).toUpperCase() + card.rarity.slice(1) : '');
+    addDetail('Artist', face.artist || card.artist);
+    addDetail('Set', `${(card.set || currentSet).toUpperCase()} #${card.collector_number}`);
+    infoEl.appendChild(details);
+    
+    // Prices for each finish in every currency
+    const finishes = getCardFinishes(card, cardState);
+    const priceTable = document.createElement('table');
+    priceTable.className = 'card-detail-prices';
+    const headRow = priceTable.insertRow();
+    ['', ...Object.keys(CURRENCIES).map(key => CURRENCIES[key].code)].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headRow.appendChild(th);
+    });
+    finishes.forEach(finish => {
+        const row = priceTable.insertRow();
+        row.insertCell().textContent = FINISH_LABELS[finish];
+        Object.keys(CURRENCIES).forEach(currencyKey => {
+            const price = getFinishPrice(card, finish, currencyKey);
+            row.insertCell().textContent = price !== undefined ? formatPrice(price, currencyKey) : '–';
+        });
+    });
+    infoEl.appendChild(priceTable);
+    
+    if (card.scryfall_uri) {
+        const link = document.createElement('a');
+        link.className = 'card-detail-link';
+        link.href = card.scryfall_uri;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = 'View on Scryfall ↗';
+        infoEl.appendChild(link);
+    }
+}
+
+// Quantity per finish, wishlist and notes of the detail dialog
+function renderCardDetailOwnership(card, cardKey, cardState) {
+    const ownershipEl = document.getElementById('card-detail-ownership');
+    ownershipEl.innerHTML = '';
+    
+    getCardFinishes(card, cardState).forEach(finish => {
+        const quantity = getQuantity(cardState, finish);
+        
+        const row = document.createElement('div');
+        row.className = 'setting-item card-detail-finish';
+        
+        const label = document.createElement('span');
+        label.appendChild(createFinishStar(finish));
+        label.appendChild(document.createTextNode(` ${FINISH_LABELS[finish]}`));
+        row.appendChild(label);
+        
+        const counter = document.createElement('div');
+        counter.className = `finish-counter ${finish} ${quantity > 0 ? 'owned' : ''}`;
+        
+        const minusBtn = document.createElement('button');
+        minusBtn.className = 'quantity-btn';
+        minusBtn.textContent = '−';
+        minusBtn.title = `Remove a ${FINISH_LABELS[finish].toLowerCase()} copy`;
+        minusBtn.disabled = quantity === 0;
+        minusBtn.addEventListener('click', () => changeQuantity(cardKey, finish, -1));
+        
+        const countLabel = document.createElement('span');
+        countLabel.className = 'quantity-count';
+        countLabel.textContent = quantity;
+        
+        const plusBtn = document.createElement('button');
+        plusBtn.className = 'quantity-btn';
+        plusBtn.textContent = '+';
+        plusBtn.title = `Add a ${FINISH_LABELS[finish].toLowerCase()} copy`;
+        plusBtn.addEventListener('click', () => changeQuantity(cardKey, finish, 1));
+        
+        counter.appendChild(minusBtn);
+        counter.appendChild(countLabel);
+        counter.appendChild(plusBtn);
+        row.appendChild(counter);
+        ownershipEl.appendChild(row);
+    });
+    
+    const want = cardState.want;
+    const wishlistBtn = document.createElement('button');
+    wishlistBtn.className = 'update-btn-full secondary';
+    wishlistBtn.textContent = want
+        ? `♥ On wishlist (${(WISHLIST_PRIORITIES[want.priority] || WISHLIST_PRIORITIES.medium).label} priority) – Edit`
+        : '♡ Add to wishlist';
+    wishlistBtn.addEventListener('click', () => showWishlistEditor(cardKey));
+    ownershipEl.appendChild(wishlistBtn);
+    
+    const noteLabel = document.createElement('label');
+    noteLabel.className = 'set-editor-field';
+    noteLabel.textContent = 'Notes';
+    const noteInput = document.createElement('textarea');
+    noteInput.className = 'settings-textarea';
+    noteInput.rows = 3;
+    noteInput.placeholder = 'Condition, language, where it is stored…';
+    noteInput.value = cardState.note || '';
+    noteInput.addEventListener('change', () => setCardNote(cardKey, noteInput.value));
+    noteLabel.appendChild(noteInput);
+    ownershipEl.appendChild(noteLabel);
+}
+
+// Store a free-text note on a card (an empty note removes it)
+function setCardNote(cardKey, note, setCode = currentSet) {
+    const updated = { ...getCardState(cardKey, setCode) };
+    const trimmed = note.trim();
+    if (trimmed) {
+        updated.note = trimmed;
+    } else {
+        delete updated.note;
+    }
+    storeCardState(cardKey, updated, setCode);
+    saveCollectionState();
+}
+
+// Refresh a single card tile after its collection state changed
+function updateCardElement(cardKey) {
+    const cardElement = document.querySelector(`.card-item[data-card-key="${cardKey}"]`);
+    if (!cardElement) return;
+    
+    const cardState = getCardState(cardKey);
+    const isCollected = isCardCollected(cardState);
+    cardElement.classList.toggle('collected', isCollected);
+    updateCardTileLabel(cardElement, findCardByKey(cardKey), cardState);
+    
+    // Rebuild the counters so they reflect the new quantities
+    const existingCounters = cardElement.querySelector('.finish-counters');
+    if (existingCounters) {
+        existingCounters.remove();
+    }
+    const card = findCardByKey(cardKey);
+    if (isCollected) {
+        cardElement.appendChild(createFinishCounters(card, cardKey, cardState));
+    }
+    
+    const existingBadge = cardElement.querySelector('.wishlist-badge');
+    if (existingBadge) {
+        existingBadge.replaceWith(createWishlistBadge(card, cardKey, cardState));
+    }
+    
+    if (detailCardKey === cardKey) {
+        renderCardDetail();
+    }
+}
+
+// Create the wishlist badge for a card: priority (flagged when at the target price), or a button to add it
+function createWishlistBadge(card, cardKey, cardState) {
+    const badge = document.createElement('button');
+    const want = cardState.want;
+    
+    if (want) {
+        const priority = WISHLIST_PRIORITIES[want.priority] || WISHLIST_PRIORITIES.medium;
+        const atTarget = isWishlistPriceReached(card, want);
+        badge.className = `wishlist-badge wanted priority-${want.priority}${atTarget ? ' at-target' : ''}`;
+        badge.textContent = `${atTarget ? '🔔' : '♥'} ${priority.label}`;
+        
+        const details = [`Wishlist: ${priority.label} priority`];
+        if (want.targetPrice !== undefined) {
+            details.push(`Target ${formatPrice(want.targetPrice, want.currency)}${atTarget ? ' (reached)' : ''}`);
+        }
+        if (want.note) {
+            details.push(want.note);
+        }
+        badge.title = details.join('\n');
+    } else {
+        badge.className = 'wishlist-badge add';
+        badge.textContent = '♡';
+        badge.title = 'Add to wishlist';
+    }
+    
+    badge.tabIndex = -1; // Reached from the tile's details dialog when using the keyboard
+    badge.setAttribute('aria-label', badge.title);
+    badge.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showWishlistEditor(cardKey);
+    });
+    return badge;
+}
+
+// Add, update or (with null) remove a card's wishlist entry
+function setWishlistEntry(cardKey, want, setCode = currentSet) {
+    const updated = { ...getCardState(cardKey, setCode) };
+    if (want) {
+        updated.want = want;
+    } else {
+        delete updated.want;
+    }
+    storeCardState(cardKey, updated, setCode);
+}
+
+// Whether a wishlisted card's current price is at or below its target price
+function isWishlistPriceReached(card, want) {
+    if (!card || !want || want.targetPrice === undefined) {
+        return false;
+    }
+    const price = getCardPrice(card, want.currency);
+    return price !== undefined && price <= want.targetPrice;
+}
+
+// Rank of a card's wishlist priority (higher is more wanted), undefined when not wishlisted
+function getWishlistRank(card) {
+    const want = getCardState(getCardKey(card)).want;
+    if (!want) {
+        return undefined;
+    }
+    return (WISHLIST_PRIORITIES[want.priority] || WISHLIST_PRIORITIES.medium).rank;
+}
+
+// Wishlisted cards of a set whose price is at or below their target
+function getWishlistPriceAlerts(setCode) {
+    const setCards = cardsCache[setCode] || (setCode === currentSet ? cards : []);
+    return setCards.filter(card => isWishlistPriceReached(card, getCardState(getCardKey(card), setCode).want));
+}
+
+// Flag wishlisted cards of the current set that reached their target price
+function updateWishlistAlert() {
+    const alertEl = document.getElementById('wishlist-alert');
+    if (!alertEl) return;
+    
+    const alerts = getWishlistPriceAlerts(currentSet);
+    alertEl.classList.toggle('hidden', alerts.length === 0);
+    if (alerts.length === 1) {
+        alertEl.textContent = `🔔 ${getCardName(alerts[0])} is at or below your target price`;
+    } else {
+        alertEl.textContent = `🔔 ${alerts.length} wishlist cards are at or below your target price`;
+    }
+}
+
+// Show the wishlist editor for a card (priority, target price, note)
+function showWishlistEditor(cardKey) {
+    const modal = document.getElementById('wishlist-modal');
+    const editorEl = document.getElementById('wishlist-editor');
+    const titleEl = document.getElementById('wishlist-title');
+    if (!modal || !editorEl) return;
+    
+    const card = findCardByKey(cardKey);
+    const want = getCardState(cardKey).want;
+    editorEl.innerHTML = '';
+    if (titleEl) {
+        titleEl.textContent = card ? `#${card.collector_number} ${getCardName(card)}` : 'Wishlist';
+    }
+    
+    const addField = (labelText, control) => {
+        const label = document.createElement('label');
+        label.className = 'set-editor-field';
+        label.textContent = labelText;
+        if (!control.className) {
+            control.className = control.tagName === 'TEXTAREA' ? 'settings-textarea' : 'settings-input';
+        }
+        label.appendChild(control);
+        editorEl.appendChild(label);
+        return control;
+    };
+    
+    const prioritySelect = document.createElement('select');
+    prioritySelect.className = 'settings-select';
+    Object.entries(WISHLIST_PRIORITIES).forEach(([key, priority]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = priority.label;
+        prioritySelect.appendChild(option);
+    });
+    prioritySelect.value = want ? want.priority : 'medium';
+    addField('Priority', prioritySelect);
+    
+    const currentPrice = card ? getCardPrice(card) : undefined;
+    const targetInput = document.createElement('input');
+    targetInput.type = 'number';
+    targetInput.min = '0';
+    targetInput.step = '0.01';
+    targetInput.value = want && want.targetPrice !== undefined ? want.targetPrice : '';
+    targetInput.placeholder = currentPrice !== undefined ? `Now ${formatPrice(currentPrice)}` : 'Optional';
+    addField(`Target price (${(CURRENCIES[preferences.currency] || CURRENCIES.usd).code}, optional)`, targetInput);
+    
+    const noteInput = document.createElement('textarea');
+    noteInput.rows = 2;
+    noteInput.value = want ? want.note || '' : '';
+    noteInput.placeholder = 'e.g. Only the showcase version';
+    addField('Note', noteInput);
+    
+    const actions = document.createElement('div');
+    actions.className = 'settings-actions';
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'update-btn-full';
+    saveBtn.textContent = want ? 'Save' : 'Add to Wishlist';
+    saveBtn.addEventListener('click', () => {
+        const targetPrice = parseFloat(targetInput.value);
+        const updated = {
+            priority: prioritySelect.value,
+            note: noteInput.value.trim(),
+            addedAt: want ? want.addedAt : Date.now()
+        };
+        if (!isNaN(targetPrice) && targetPrice >= 0) {
+            updated.targetPrice = targetPrice;
+            updated.currency = preferences.currency;
+        }
+        saveWishlistEntry(cardKey, updated);
+    });
+    actions.appendChild(saveBtn);
+    
+    if (want) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'update-btn-full danger';
+        removeBtn.textContent = 'Remove from Wishlist';
+        removeBtn.addEventListener('click', () => saveWishlistEntry(cardKey, null));
+        actions.appendChild(removeBtn);
+    }
+    
+    editorEl.appendChild(actions);
+    modal.classList.remove('hidden');
+}
+
+// Hide the wishlist editor
+function hideWishlistEditor() {
+    const modal = document.getElementById('wishlist-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
+
+// Save a wishlist change from the editor and refresh the card
+function saveWishlistEntry(cardKey, want) {
+    setWishlistEntry(cardKey, want);
+    saveCollectionState();
+    hideWishlistEditor();
+    
+    // The card may leave or join the wishlist view
+    if (preferences.ownershipFilter === 'wishlist' || preferences.sortOrder === 'priority') {
+        renderCards();
+        if (detailCardKey === cardKey) {
+            renderCardDetail();
+        }
+    } else {
+        updateCardElement(cardKey);
+    }
+    updateStats();
+}
+
+// Set up the wishlist editor dialog and the target price alert
+function setupWishlist() {
+    const modal = document.getElementById('wishlist-modal');
+    const closeBtn = document.getElementById('close-wishlist-btn');
+    const alertEl = document.getElementById('wishlist-alert');
+    
+    if (closeBtn) {
+        closeBtn.addEventListener('click', hideWishlistEditor);
+    }
+    
+    // Close when clicking outside
+    if (modal) {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                hideWishlistEditor();
+            }
+        });
+    }
+    
+    // The alert opens the wishlist view
+    if (alertEl) {
+        alertEl.addEventListener('click', () => setOwnershipFilter('wishlist'));
+    }
+}
+
+// Update collection statistics
+function updateStats() {
+    // Use the expected total from set config, not the actual loaded count
+    // (minus sections that don't count toward completion)
+    const { collected, total: expectedTotal } = getSetCompletion(currentSet, cards);
+    
+    // Get collected count for current set
+    if (!collectionState[currentSet]) {
+        collectionState[currentSet] = {};
+    }
+    
+    // Every copy across all finishes
+    const setStates = Object.values(collectionState[currentSet]);
+    const copies = setStates.reduce((total, cardState) => total + getTotalQuantity(cardState), 0);
+    
+    const totalEl = document.getElementById('total-count');
+    const collectedEl = document.getElementById('collected-count');
+    const copiesEl = document.getElementById('copies-count');
+    
+    if (totalEl) {
+        totalEl.textContent = expectedTotal;
+    }
+    if (collectedEl) {
+        collectedEl.textContent = collected;
+    }
+    if (copiesEl) {
+        copiesEl.textContent = copies;
+    }
+    
+    // Collection value (foil-owned copies count at the foil price) and the cost of completing the set
+    const value = getSetValue(currentSet);
+    const valueEl = document.getElementById('collection-value');
+    const missingValueEl = document.getElementById('missing-value');
+    if (valueEl) {
+        valueEl.textContent = formatPrice(value.owned);
+    }
+    if (missingValueEl) {
+        missingValueEl.textContent = formatPrice(value.missing);
+    }
+    
+    updateWishlistAlert();
+    
+    // Per-section completion counts in the grid
+    document.querySelectorAll('.card-section').forEach(section => {
+        const header = section.querySelector('.card-section-header');
+        if (header) {
+            updateSectionHeader(header, section.dataset.section);
+        }
+    });
+    
+    announceStats(`${collected} of ${expectedTotal} collected, ${copies} ${copies === 1 ? 'copy' : 'copies'}`);
+    
+    console.log(`Stats updated: ${collected}/${expectedTotal} collected, ${copies} copies for ${currentSet.toUpperCase()} (${cards.length} cards loaded)`);
+}
+
+// Set up backup export/import in settings
+function setupBackup() {
+    const exportBtn = document.getElementById('export-backup-btn');
+    const importBtn = document.getElementById('import-backup-btn');
+    const importInput = document.getElementById('import-backup-input');
+    
+    if (exportBtn) {
+        exportBtn.addEventListener('click', exportBackup);
+    }
+    
+    if (importBtn && importInput) {
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            importInput.value = ''; // Allow re-selecting the same file
+            if (file) {
+                await readBackupFile(file);
+            }
+        });
+    }
+}
+
+// Download the active profile's collection as a versioned JSON file
+function exportBackup() {
+    const backup = {
+        app: 'magic-tracker',
+        format: BACKUP_FORMAT_VERSION,
+        appVersion: typeof APP_VERSION !== 'undefined' ? APP_VERSION : null,
+        exportedAt: new Date().toISOString(),
+        profile: getActiveProfile().name,
+        collectionState
+    };
+    
+    const date = backup.exportedAt.slice(0, 10);
+    downloadFile(`${getExportFilePrefix()}-backup-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+    showStatusMessage('backup-status', `Backup of "${backup.profile}" downloaded.`, 'success');
+}
+
+// Trigger a browser download for generated content
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Read and validate a backup file, then show the import preview
+async function readBackupFile(file) {
+    let importedState;
+    let profileName;
+    try {
+        const backup = JSON.parse(await file.text());
+        importedState = validateBackup(backup);
+        profileName = typeof backup.profile === 'string' && backup.profile.trim() ? backup.profile.trim() : 'Imported collection';
+    } catch (e) {
+        console.error('Error reading backup file:', e);
+        showStatusMessage('backup-status', `Import failed: ${e.message}`, 'error');
+        return;
+    }
+    
+    showImportPreview(importedState, profileName);
+}
+
+// Check a parsed backup and return its collection state in the current format (throws if invalid)
+function validateBackup(backup) {
+    if (!backup || typeof backup !== 'object' || backup.app !== 'magic-tracker') {
+        throw new Error('This is not a Magic Tracker backup file.');
+    }
+    if (typeof backup.format !== 'number' || backup.format > BACKUP_FORMAT_VERSION) {
+        throw new Error('This backup was made by a newer version of the app. Please update first.');
+    }
+    if (!backup.collectionState || typeof backup.collectionState !== 'object' || Array.isArray(backup.collectionState)) {
+        throw new Error('The backup does not contain any collection data.');
+    }
+    
+    const importedState = {};
+    for (const [setCode, setState] of Object.entries(backup.collectionState)) {
+        if (!setState || typeof setState !== 'object' || Array.isArray(setState)) {
+            throw new Error(`Invalid data for set "${setCode}".`);
+        }
+        
+        importedState[setCode] = {};
+        for (const [cardKey, value] of Object.entries(setState)) {
+            const [newKey, cardState] = migrateCardKey(setCode, cardKey, normalizeCardState(value));
+            if (!isCardStateEmpty(cardState)) {
+                importedState[setCode][newKey] = mergeCardStates(importedState[setCode][newKey], cardState);
+            }
+        }
+    }
+    return importedState;
+}
+
+// Convert an imported entry to the current format, keeping only valid quantities
+function normalizeCardState(value) {
+    if (!value || typeof value !== 'object' || !value.quantities) {
+        return migrateCardState(value);
+    }
+    
+    const quantities = {};
+    FINISHES.forEach(finish => {
+        const quantity = Number(value.quantities[finish]);
+        if (Number.isInteger(quantity) && quantity > 0) {
+            quantities[finish] = quantity;
+        }
+    });
+    return migrateAddedAt({ ...value, quantities });
+}
+
+// Move the date added of entries saved before acquisition dates were recorded per finish onto
+// the finishes owned (returns the entry unchanged when there is nothing to move)
+function migrateAddedAt(cardState) {
+    if (cardState.addedAt === undefined) {
+        return cardState;
+    }
+    
+    const { addedAt, ...migrated } = cardState;
+    const acquired = { ...cardState.acquired };
+    FINISHES.forEach(finish => {
+        if (getQuantity(cardState, finish) > 0 && !acquired[finish]) {
+            acquired[finish] = { at: addedAt };
+        }
+    });
+    if (Object.keys(acquired).length > 0) {
+        migrated.acquired = acquired;
+    }
+    return migrated;
+}
+
+// Count cards added, removed and changed per set if the imported state were applied, and the
+// wishlist entries and notes that differ
+function diffCollectionStates(currentState, importedState) {
+    const setCodes = new Set([...Object.keys(currentState), ...Object.keys(importedState)]);
+    const diff = [];
+    
+    setCodes.forEach(setCode => {
+        const current = currentState[setCode] || {};
+        const imported = importedState[setCode] || {};
+        let added = 0;
+        let removed = 0;
+        let changed = 0;
+        let wishlist = 0;
+        let notes = 0;
+        
+        new Set([...Object.keys(current), ...Object.keys(imported)]).forEach(cardKey => {
+            const currentCard = current[cardKey] || {};
+            const importedCard = imported[cardKey] || {};
+            if (JSON.stringify(currentCard.want) !== JSON.stringify(importedCard.want)) {
+                wishlist++;
+            }
+            if ((currentCard.note || '') !== (importedCard.note || '')) {
+                notes++;
+            }
+        });
+        
+        for (const [cardKey, cardState] of Object.entries(imported)) {
+            if (!isCardCollected(cardState)) {
+                continue; // Wishlist or note only: counted above
+            }
+            if (!isCardCollected(current[cardKey])) {
+                added++;
+            } else if (FINISHES.some(finish => getQuantity(current[cardKey], finish) !== getQuantity(cardState, finish))) {
+                changed++;
+            }
+        }
+        for (const [cardKey, cardState] of Object.entries(current)) {
+            if (isCardCollected(cardState) && !isCardCollected(imported[cardKey])) {
+                removed++;
+            }
+        }
+        
+        if (added || removed || changed || wishlist || notes) {
+            diff.push({ setCode, added, removed, changed, wishlist, notes });
+        }
+    });
+    
+    return diff;
+}
+
+// Show what an import would change and let the user merge or replace
+function showImportPreview(importedState, profileName) {
+    const previewEl = document.getElementById('import-preview');
+    if (!previewEl) return;
+    
+    const diff = diffCollectionStates(collectionState, importedState);
+    const activeName = getActiveProfile().name;
+    previewEl.innerHTML = '';
+    
+    const title = document.createElement('p');
+    title.className = 'import-preview-title';
+    title.textContent = diff.length > 0 ? `This backup differs from "${activeName}":` : `This backup matches "${activeName}".`;
+    previewEl.appendChild(title);
+    
+    if (diff.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'import-preview-list';
+        diff.forEach(({ setCode, added, removed, changed, wishlist, notes }) => {
+            const item = document.createElement('li');
+            const setName = SETS[setCode] ? SETS[setCode].name : setCode.toUpperCase();
+            item.textContent = `${setName}: +${added} new, ${changed} changed, ${removed} not in backup`;
+            if (wishlist) {
+                item.textContent += `, ${wishlist} wishlist ${wishlist === 1 ? 'entry' : 'entries'} differ${wishlist === 1 ? 's' : ''}`;
+            }
+            if (notes) {
+                item.textContent += `, ${notes} ${notes === 1 ? 'note differs' : 'notes differ'}`;
+            }
+            list.appendChild(item);
+        });
+        previewEl.appendChild(list);
+        
+        const note = document.createElement('p');
+        note.className = 'import-preview-note';
+        note.textContent = 'Merge keeps your cards and takes the higher count for each finish. Replace discards cards not in the backup. New profile keeps this profile as it is.';
+        previewEl.appendChild(note);
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'settings-actions';
+    
+    const mergeBtn = document.createElement('button');
+    mergeBtn.className = 'update-btn-full';
+    mergeBtn.textContent = 'Merge';
+    mergeBtn.addEventListener('click', () => applyImport(importedState, 'merge'));
+    
+    const replaceBtn = document.createElement('button');
+    replaceBtn.className = 'update-btn-full danger';
+    replaceBtn.textContent = 'Replace';
+    replaceBtn.addEventListener('click', () => {
+        if (confirm(`Replace the entire "${activeName}" collection with this backup?`)) {
+            applyImport(importedState, 'replace');
+        }
+    });
+    
+    const newProfileBtn = document.createElement('button');
+    newProfileBtn.className = 'update-btn-full secondary';
+    newProfileBtn.textContent = 'New Profile';
+    newProfileBtn.title = `Import into a new profile named "${profileName}"`;
+    newProfileBtn.addEventListener('click', () => {
+        hideImportPreview();
+        if (createProfile(profileName, importedState)) {
+            showStatusMessage('backup-status', `Imported into the new profile "${profileName}".`, 'success');
+        }
+    });
+    
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'update-btn-full secondary';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', hideImportPreview);
+    
+    actions.appendChild(mergeBtn);
+    actions.appendChild(replaceBtn);
+    actions.appendChild(newProfileBtn);
+    actions.appendChild(cancelBtn);
+    previewEl.appendChild(actions);
+    previewEl.classList.remove('hidden');
+}
+
+// Hide and clear the import preview
+function hideImportPreview() {
+    const previewEl = document.getElementById('import-preview');
+    if (previewEl) {
+        previewEl.innerHTML = '';
+        previewEl.classList.add('hidden');
+    }
+}
+
+// Apply an imported collection state by merging into or replacing the current one
+function applyImport(importedState, mode) {
+    if (mode === 'replace') {
+        collectionState = { ...importedState };
+    } else {
+        for (const [setCode, setState] of Object.entries(importedState)) {
+            if (!collectionState[setCode]) {
+                collectionState[setCode] = {};
+            }
+            for (const [cardKey, cardState] of Object.entries(setState)) {
+                collectionState[setCode][cardKey] = mergeCardStates(collectionState[setCode][cardKey], cardState);
+            }
+        }
+    }
+    
+    // Backups from older versions may still use Scryfall id keys
+    Object.keys(cardsCache).forEach(reconcileCollectionState);
+    saveCollectionState();
+    hideImportPreview();
+    renderCards();
+    updateStats();
+    const profileName = getActiveProfile().name;
+    showStatusMessage('backup-status', mode === 'replace' ? `"${profileName}" replaced from backup.` : `Backup merged into "${profileName}".`, 'success');
+}
+
+// Set up CSV export in settings
+function setupCsvExport() {
+    const presetSelect = document.getElementById('csv-preset-select');
+    const exportBtn = document.getElementById('export-csv-btn');
+    
+    if (presetSelect) {
+        Object.entries(CSV_PRESETS).forEach(([key, preset]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = preset.label;
+            presetSelect.appendChild(option);
+        });
+    }
+    
+    if (exportBtn && presetSelect) {
+        exportBtn.addEventListener('click', () => exportCsv(currentSet, presetSelect.value));
+    }
+}
+
+// Build one export row per owned finish of each loaded card in a set
+function getCsvExportRows(setCode) {
+    const setCards = cardsCache[setCode] || (setCode === currentSet ? cards : []);
+    const rows = [];
+    
+    [...setCards].sort(compareCollectorNumbers).forEach(card => {
+        const cardState = getCardState(getCardKey(card), setCode);
+        const name = getCardName(card);
+        
+        FINISHES.forEach(finish => {
+            const quantity = getQuantity(cardState, finish);
+            if (quantity === 0) return;
+            
+            rows.push({
+                name,
+                setCode: card.set || setCode,
+                setName: card.set_name || (SETS[setCode] ? SETS[setCode].name : ''),
+                collectorNumber: card.collector_number,
+                finish,
+                quantity,
+                scryfallId: card.is_placeholder ? '' : card.id,
+                price: getFinishPrice(card, finish),
+                currency: (CURRENCIES[preferences.currency] || CURRENCIES.usd).code
+            });
+        });
+    });
+    
+    return rows;
+}
+
+// Download the owned cards of a set as CSV in the chosen tool's format
+function exportCsv(setCode, presetKey) {
+    const rows = getCsvExportRows(setCode);
+    if (rows.length === 0) {
+        showStatusMessage('csv-status', `No collected cards loaded for ${setCode.toUpperCase()}.`, 'error');
+        return;
+    }
+    
+    downloadFile(`${getExportFilePrefix()}-${setCode}-${presetKey}.csv`, buildCsv(rows, presetKey), 'text/csv');
+    showStatusMessage('csv-status', `Exported ${rows.length} rows from ${setCode.toUpperCase()}.`, 'success');
+}
+
+// Set up CSV import in settings
+function setupCsvImport() {
+    const importBtn = document.getElementById('import-csv-btn');
+    const importInput = document.getElementById('import-csv-input');
+    
+    if (importBtn && importInput) {
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            importInput.value = ''; // Allow re-selecting the same file
+            if (file) {
+                await readCsvImportFile(file);
+            }
+        });
+    }
+}
+
+// Read a CSV file from another tool, match its rows and show the report
+async function readCsvImportFile(file) {
+    let records;
+    try {
+        records = readCsvImportRecords(await file.text());
+    } catch (e) {
+        console.error('Error reading CSV file:', e);
+        showStatusMessage('csv-import-status', `Import failed: ${e.message}`, 'error');
+        return;
+    }
+    
+    showCsvImportReport(matchCsvImportRecords(records));
+}
+
+// Get the cards of every set loaded so far, keyed by set code
+function getLoadedSetCards() {
+    const loaded = { ...cardsCache };
+    if (cards.length > 0 && !loaded[currentSet]) {
+        loaded[currentSet] = cards;
+    }
+    return loaded;
+}
+
+// Work out which set a CSV row belongs to from its set code or set name
+function resolveCsvSetCode(record, loadedSets) {
+    const candidates = [record.setCode, record.setName.toLowerCase()].filter(Boolean);
+    for (const value of candidates) {
+        if (SETS[value] || loadedSets[value]) {
+            return value;
+        }
+        
+        // Tools like Deckbox and TCGplayer use the set name instead of the code
+        const byName = Object.values(SETS).find(set => set.name.toLowerCase() === value);
+        if (byName) {
+            return byName.code;
+        }
+        for (const [setCode, setCards] of Object.entries(loadedSets)) {
+            if (setCards.some(card => card.set_name && card.set_name.toLowerCase() === value)) {
+                return setCode;
+            }
+        }
+    }
+    return record.setCode || null;
+}
+
+// Match CSV records to loaded cards: by Scryfall id first, then set + collector number (or name) + finish
+function matchCsvImportRecords(records) {
+    const loadedSets = getLoadedSetCards();
+    const cardsById = new Map();
+    for (const [setCode, setCards] of Object.entries(loadedSets)) {
+        setCards.forEach(card => cardsById.set(card.id, { card, setCode }));
+    }
+    
+    const report = { matched: [], review: [], skipped: 0, ambiguous: 0 };
+    const skip = (record, reason) => {
+        report.review.push({ record, reason, candidates: [] });
+        report.skipped++;
+    };
+    
+    records.forEach(record => {
+        if (!Number.isInteger(record.quantity) || record.quantity <= 0) {
+            skip(record, 'Invalid quantity');
+            return;
         }
         
-        // Check for API errors
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            if (errorData.code === 'not_found' || response.status === 404) {
-                // Try alternative search methods
-                await fetchCardsAlternative(setCode);
+        let match = record.scryfallId ? cardsById.get(record.scryfallId) : null;
+        
+        if (!match) {
+            const setCode = resolveCsvSetCode(record, loadedSets);
+            if (!setCode) {
+                skip(record, 'No set given');
+                return;
+            }
+            if (!loadedSets[setCode]) {
+                skip(record, SETS[setCode]
+                    ? `${setCode.toUpperCase()} is not loaded yet. Open its tab and import again`
+                    : `Set ${setCode.toUpperCase()} is not tracked`);
+                return;
+            }
+            
+            let candidates;
+            if (record.collectorNumber) {
+                candidates = loadedSets[setCode].filter(card => card.collector_number === record.collectorNumber);
+            } else {
+                const name = record.name.toLowerCase();
+                candidates = loadedSets[setCode].filter(card => getCardNames(card).includes(name));
+            }
+            
+            if (candidates.length === 0) {
+                skip(record, 'No matching card');
+                return;
+            }
+            if (candidates.length > 1) {
+                report.review.push({ record, reason: 'Several printings match', candidates: candidates.map(card => ({ card, setCode })) });
+                report.ambiguous++;
                 return;
             }
-            throw new Error(`API error: ${response.status}`);
+            match = { card: candidates[0], setCode };
         }
         
-        const data = await response.json();
-        
-        // Check for API errors in response
-        if (data.object === 'error') {
-            console.error('Scryfall API error:', data);
-            await fetchCardsAlternative(setCode);
+        if (Array.isArray(match.card.finishes) && !match.card.finishes.includes(record.finish)) {
+            skip(record, `Not available in ${FINISH_LABELS[record.finish].toLowerCase()}`);
             return;
         }
         
-        if (data.data && data.data.length > 0) {
-            console.log(`Loaded ${data.data.length} cards from ${setCodeUpper} set`);
-            console.log(`API reports total_cards: ${data.total_cards}`);
-            console.log(`Has more pages: ${data.has_more}`);
+        report.matched.push({ ...match, finish: record.finish, quantity: record.quantity });
+    });
+    
+    return report;
+}
+
+// Lowercased names a card can be referred to by (full name and each face)
+function getCardNames(card) {
+    const names = [card.name || ''];
+    if (card.card_faces) {
+        card.card_faces.forEach(face => names.push(face.name || ''));
+    }
+    return names.map(name => name.toLowerCase()).filter(Boolean);
+}
+
+// Show the CSV import summary, the rows needing review, and the import action
+function showCsvImportReport(report) {
+    const reportEl = document.getElementById('csv-import-report');
+    if (!reportEl) return;
+    reportEl.innerHTML = '';
+    
+    const summary = document.createElement('p');
+    summary.className = 'import-preview-title';
+    summary.textContent = `${report.matched.length} matched, ${report.skipped} skipped, ${report.ambiguous} ambiguous`;
+    reportEl.appendChild(summary);
+    
+    // Rows that were not matched, with a picker for ambiguous ones
+    const resolvers = [];
+    if (report.review.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'import-preview-list import-review-list';
+        
+        report.review.forEach(({ record, reason, candidates }) => {
+            const item = document.createElement('li');
+            const description = [record.name || record.scryfallId, record.setCode.toUpperCase() || record.setName, record.collectorNumber && `#${record.collectorNumber}`]
+                .filter(Boolean)
+                .join(' · ');
+            item.textContent = `Line ${record.line}: ${description} (${reason})`;
             
-            // Process cards and sort by collector number
-            cards = data.data
-                .filter(card => {
-                    // Handle both regular cards and double-faced cards
-                    if (card.image_uris && card.image_uris.normal) {
-                        return true;
-                    }
-                    // Check if it's a double-faced card
-                    if (card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris) {
-                        return true;
-                    }
-                    return false;
-                })
-                .sort((a, b) => {
-                    // Sort by collector number if available (handle decimals)
-                    const numA = parseFloat(a.collector_number) || 0;
-                    const numB = parseFloat(b.collector_number) || 0;
-                    return numA - numB;
+            if (candidates.length > 0) {
+                const select = document.createElement('select');
+                select.className = 'settings-select';
+                
+                const skipOption = document.createElement('option');
+                skipOption.value = '';
+                skipOption.textContent = 'Skip';
+                select.appendChild(skipOption);
+                
+                candidates.forEach((candidate, i) => {
+                    const option = document.createElement('option');
+                    option.value = i;
+                    option.textContent = `#${candidate.card.collector_number} ${candidate.card.name}`;
+                    select.appendChild(option);
                 });
-            
-            // Handle pagination if needed
-            if (data.has_more && data.next_page) {
-                console.log('Fetching additional pages...');
-                await fetchMoreCards(data.next_page);
+                
+                resolvers.push({ select, record, candidates });
+                item.appendChild(select);
             }
+            list.appendChild(item);
+        });
+        reportEl.appendChild(list);
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'settings-actions';
+    
+    const importBtn = document.createElement('button');
+    importBtn.className = 'update-btn-full';
+    importBtn.textContent = 'Import Matched';
+    importBtn.disabled = report.matched.length === 0 && resolvers.length === 0;
+    importBtn.addEventListener('click', () => {
+        // Add ambiguous rows the user picked a card for
+        const resolved = resolvers
+            .filter(({ select }) => select.value !== '')
+            .map(({ select, record, candidates }) => ({ ...candidates[Number(select.value)], finish: record.finish, quantity: record.quantity }));
+        applyCsvImport([...report.matched, ...resolved]);
+    });
+    
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'update-btn-full secondary';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', hideCsvImportReport);
+    
+    actions.appendChild(importBtn);
+    actions.appendChild(cancelBtn);
+    reportEl.appendChild(actions);
+    reportEl.classList.remove('hidden');
+}
+
+// Hide and clear the CSV import report
+function hideCsvImportReport() {
+    const reportEl = document.getElementById('csv-import-report');
+    if (reportEl) {
+        reportEl.innerHTML = '';
+        reportEl.classList.add('hidden');
+    }
+}
+
+// Mark matched rows as collected, keeping the higher of the existing and imported counts
+function applyCsvImport(matches) {
+    // Several rows can describe the same card and finish (e.g. different conditions)
+    const totals = new Map();
+    matches.forEach(({ card, setCode, finish, quantity }) => {
+        const key = `${setCode}|${getCardKey(card)}|${finish}`;
+        const total = totals.get(key) || { cardKey: getCardKey(card), setCode, finish, quantity: 0 };
+        total.quantity += quantity;
+        totals.set(key, total);
+    });
+    
+    totals.forEach(({ cardKey, setCode, finish, quantity }) => {
+        const existing = getQuantity(getCardState(cardKey, setCode), finish);
+        setQuantity(cardKey, finish, Math.max(existing, quantity), setCode);
+    });
+    
+    saveCollectionState();
+    hideCsvImportReport();
+    renderCards();
+    updateStats();
+    showStatusMessage('csv-import-status', `Imported ${totals.size} card finishes.`, 'success');
+}
+
+// Keep-counts offered in the trade view (copies of each finish to keep; the rest are tradeable)
+const TRADE_KEEP_COUNTS = [1, 2, 3, 4];
+
+// Set up the trade binder view
+function setupTradeView() {
+    const tradeBtn = document.getElementById('trade-btn');
+    const tradeModal = document.getElementById('trade-modal');
+    const closeTradeBtn = document.getElementById('close-trade-btn');
+    const keepSelect = document.getElementById('trade-keep-select');
+    const formatSelect = document.getElementById('trade-format-select');
+    const downloadBtn = document.getElementById('download-trades-btn');
+    const copyBtn = document.getElementById('copy-trades-btn');
+    
+    if (!tradeBtn || !tradeModal) return;
+    
+    tradeBtn.addEventListener('click', () => {
+        tradeModal.classList.remove('hidden');
+        renderTradeList();
+    });
+    
+    if (closeTradeBtn) {
+        closeTradeBtn.addEventListener('click', () => {
+            tradeModal.classList.add('hidden');
+        });
+    }
+    
+    // Close when clicking outside
+    tradeModal.addEventListener('click', (e) => {
+        if (e.target === tradeModal) {
+            tradeModal.classList.add('hidden');
+        }
+    });
+    
+    if (keepSelect) {
+        TRADE_KEEP_COUNTS.forEach(count => {
+            const option = document.createElement('option');
+            option.value = count;
+            option.textContent = count === 4 ? '4 (playset)' : String(count);
+            keepSelect.appendChild(option);
+        });
+        keepSelect.value = preferences.tradeKeepCount;
+        
+        keepSelect.addEventListener('change', () => {
+            preferences.tradeKeepCount = parseInt(keepSelect.value, 10);
+            savePreferences();
+            renderTradeList();
+        });
+    }
+    
+    if (formatSelect) {
+        const textOption = document.createElement('option');
+        textOption.value = 'text';
+        textOption.textContent = 'Plain text';
+        formatSelect.appendChild(textOption);
+        
+        Object.entries(CSV_PRESETS).forEach(([key, preset]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `CSV: ${preset.label}`;
+            formatSelect.appendChild(option);
+        });
+    }
+    
+    if (downloadBtn && formatSelect) {
+        downloadBtn.addEventListener('click', () => exportTrades(formatSelect.value));
+    }
+    if (copyBtn && formatSelect) {
+        copyBtn.addEventListener('click', () => copyTrades(formatSelect.value));
+    }
+}
+
+// Cards of a set without fetching: the loaded list, else the cards saved on this device ([] if none)
+async function getSavedSetCards(setCode) {
+    if (cardsCache[setCode]) {
+        return cardsCache[setCode];
+    }
+    const stored = await getStoredCardSet(setCode).catch(() => null);
+    return stored ? stored.cards : [];
+}
+
+// Surplus copies beyond the keep-count, per set and finish (including cards marked not for trade).
+// Sets that aren't loaded use the cards saved on this device.
+async function getTradeRows() {
+    const keepCount = preferences.tradeKeepCount;
+    const currencyCode = (CURRENCIES[preferences.currency] || CURRENCIES.usd).code;
+    const rows = [];
+    
+    for (const setCode of Object.keys(SETS)) {
+        const setState = collectionState[setCode] || {};
+        const cardKeys = Object.keys(setState).filter(cardKey => getTotalQuantity(setState[cardKey]) > keepCount);
+        if (cardKeys.length === 0) continue;
+        
+        const setCards = await getSavedSetCards(setCode);
+        cardKeys.sort((a, b) => COLLECTOR_NUMBER_COLLATOR.compare(a, b)).forEach(cardKey => {
+            const cardState = setState[cardKey];
+            const card = setCards.find(setCard => getCardKey(setCard) === cardKey);
             
-            // After loading main set, try to find additional cards from related sets or variants
-            // Query for cards that might be variants (showcase, extended art, borderless, etc.)
-            console.log(`Main set loaded: ${cards.length} cards. Checking for variants...`);
-            await fetchVariantCards(setCode);
-            
-            // Re-sort all cards after all fetching is complete
-            cards.sort((a, b) => {
-                const numA = parseFloat(a.collector_number) || 0;
-                const numB = parseFloat(b.collector_number) || 0;
-                return numA - numB;
+            FINISHES.forEach(finish => {
+                const surplus = getQuantity(cardState, finish) - keepCount;
+                if (surplus <= 0) return;
+                
+                rows.push({
+                    name: (card && getCardName(card)) || `Card ${cardKey}`,
+                    setCode,
+                    setName: SETS[setCode].name,
+                    cardKey,
+                    collectorNumber: cardKey,
+                    finish,
+                    quantity: surplus,
+                    scryfallId: cardState.scryfallId || '',
+                    price: card ? getFinishPrice(card, finish) : undefined,
+                    currency: currencyCode,
+                    notForTrade: Boolean(cardState.notForTrade)
+                });
             });
+        });
+    }
+    
+    return rows;
+}
+
+// Show the surplus copies grouped by set, with a checkbox to keep cards out of trades
+async function renderTradeList() {
+    const listEl = document.getElementById('trade-list');
+    if (!listEl) return;
+    
+    const rows = await getTradeRows();
+    listEl.innerHTML = '';
+    
+    if (rows.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'history-empty';
+        empty.textContent = `No cards with more than ${preferences.tradeKeepCount} ${preferences.tradeKeepCount === 1 ? 'copy' : 'copies'} of a finish.`;
+        listEl.appendChild(empty);
+        return;
+    }
+    
+    Object.keys(SETS).forEach(setCode => {
+        const setRows = rows.filter(row => row.setCode === setCode);
+        if (setRows.length === 0) return;
+        
+        const tradeable = setRows.filter(row => !row.notForTrade);
+        const value = tradeable.reduce((sum, row) => sum + row.quantity * (row.price || 0), 0);
+        const copies = tradeable.reduce((sum, row) => sum + row.quantity, 0);
+        
+        const title = document.createElement('p');
+        title.className = 'import-preview-title';
+        title.textContent = `${SETS[setCode].name} (${setCode.toUpperCase()}): ${copies} ${copies === 1 ? 'copy' : 'copies'}, ${formatPrice(value)}`;
+        listEl.appendChild(title);
+        
+        const list = document.createElement('ul');
+        list.className = 'trade-rows';
+        setRows.forEach(row => {
+            const item = document.createElement('li');
+            item.className = `trade-row ${row.notForTrade ? 'not-for-trade' : ''}`;
             
-            console.log(`Total cards loaded: ${cards.length}`);
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !row.notForTrade;
+            checkbox.title = 'Uncheck to mark as not for trade';
+            checkbox.addEventListener('change', () => setNotForTrade(row.cardKey, !checkbox.checked, row.setCode));
+            label.appendChild(checkbox);
             
-            // Don't render or update stats here - wait for fetchVariantCards to complete
-        } else {
-            // Fallback: try alternative search
-            await fetchCardsAlternative(setCode);
-        }
+            const finishLabel = row.finish === 'nonfoil' ? '' : ` (${FINISH_LABELS[row.finish]})`;
+            label.appendChild(document.createTextNode(` ${row.quantity}× #${row.collectorNumber} ${row.name}${finishLabel}`));
+            item.appendChild(label);
+            
+            const price = document.createElement('span');
+            price.className = 'trade-price';
+            price.textContent = row.price !== undefined ? formatPrice(row.price) : '–';
+            item.appendChild(price);
+            
+            list.appendChild(item);
+        });
+        listEl.appendChild(list);
+    });
+}
+
+// Mark a card as not for trade (or tradeable again) and refresh the list
+function setNotForTrade(cardKey, notForTrade, setCode) {
+    const updated = { ...getCardState(cardKey, setCode) };
+    if (notForTrade) {
+        updated.notForTrade = true;
+    } else {
+        delete updated.notForTrade;
+    }
+    storeCardState(cardKey, updated, setCode);
+    saveCollectionState();
+    renderTradeList();
+}
+
+// Build the trade list as plain text for posting in a chat
+function buildTradeText(rows) {
+    const keepCount = preferences.tradeKeepCount;
+    const lines = [`Cards for trade (keeping ${keepCount} of each finish)`];
+    
+    Object.keys(SETS).forEach(setCode => {
+        const setRows = rows.filter(row => row.setCode === setCode);
+        if (setRows.length === 0) return;
         
-        // Note: renderCards() and updateStats() will be called after fetchVariantCards completes
-        // or from loadSet() after fetchCards completes
-    } catch (error) {
-        console.error('Error fetching cards:', error);
-        loadingEl.textContent = 'Error loading cards. Please check your connection.';
-        // Try alternative method
-        await fetchCardsAlternative(setCode);
+        lines.push('', `${SETS[setCode].name} (${setCode.toUpperCase()})`);
+        setRows.forEach(row => {
+            const finishLabel = row.finish === 'nonfoil' ? '' : ` (${FINISH_LABELS[row.finish]})`;
+            const price = row.price !== undefined ? ` - ${formatPrice(row.price)}` : '';
+            lines.push(`${row.quantity}x ${row.name} #${row.collectorNumber}${finishLabel}${price}`);
+        });
+    });
+    
+    return lines.join('\n') + '\n';
+}
+
+// Tradeable rows (without cards marked not for trade) in the chosen format: 'text' or a CSV preset
+async function getTradeExport(format) {
+    const rows = (await getTradeRows()).filter(row => !row.notForTrade);
+    if (rows.length === 0) {
+        showStatusMessage('trade-status', 'Nothing to trade with the current keep-count.', 'error');
+        return null;
     }
+    return { rows, content: format === 'text' ? buildTradeText(rows) : buildCsv(rows, format) };
 }
 
-// Fetch variant cards (showcase, extended art, promos, etc.)
-async function fetchVariantCards(setCode = currentSet) {
-    const setConfig = SETS[setCode];
+// Download the trade list
+async function exportTrades(format) {
+    const tradeExport = await getTradeExport(format);
+    if (!tradeExport) return;
+    
+    if (format === 'text') {
+        downloadFile(`${getExportFilePrefix()}-trades.txt`, tradeExport.content, 'text/plain');
+    } else {
+        downloadFile(`${getExportFilePrefix()}-trades-${format}.csv`, tradeExport.content, 'text/csv');
+    }
+    showStatusMessage('trade-status', `Exported ${tradeExport.rows.length} rows.`, 'success');
+}
+
+// Copy the trade list to the clipboard
+async function copyTrades(format) {
+    const tradeExport = await getTradeExport(format);
+    if (!tradeExport) return;
+    
     try {
-        // Query for cards that are variants or have special treatments from the set
-        // Try querying by set name to catch all related cards
-        const setCodeUpper = setCode.toUpperCase();
+        await navigator.clipboard.writeText(tradeExport.content);
+        showStatusMessage('trade-status', 'Trade list copied to the clipboard.', 'success');
+    } catch (e) {
+        console.error('Error copying trade list:', e);
+        showStatusMessage('trade-status', 'Could not copy to the clipboard. Use Download instead.', 'error');
+    }
+}
+
+// Card types broken down in the statistics dashboard (a card counts once for each of its types)
+const CARD_TYPES = ['Creature', 'Instant', 'Sorcery', 'Artifact', 'Enchantment', 'Planeswalker', 'Battle', 'Land'];
+
+// Color groups broken down in the statistics dashboard
+const COLOR_GROUPS = {
+    W: 'White',
+    U: 'Blue',
+    B: 'Black',
+    R: 'Red',
+    G: 'Green',
+    multicolor: 'Multicolor',
+    colorless: 'Colorless'
+};
+
+// Treatment of a card's printing (key of TREATMENTS)
+function getCardTreatment(card) {
+    return Object.keys(TREATMENTS).find(key => TREATMENTS[key].matches(card));
+}
+
+// Grid section of a card (key of CARD_SECTIONS)
+function getCardSection(card) {
+    if (isBasicLand(card)) {
+        return 'basicLands';
+    }
+    const treatment = getCardTreatment(card);
+    return treatment === 'regular' ? 'main' : treatment;
+}
+
+// Whether a card is a basic land
+function isBasicLand(card) {
+    const typeLine = getFaceValues(card, 'type_line')[0];
+    if (typeLine) {
+        return typeLine.includes('Basic') && typeLine.includes('Land');
+    }
+    return BASIC_LAND_NAMES.includes(card.name);
+}
+
+// Color group of a card (key of COLOR_GROUPS)
+function getCardColorGroup(card) {
+    const colors = getCardColors(card, 'colors') || [];
+    if (colors.length === 0) {
+        return 'colorless';
+    }
+    return colors.length > 1 ? 'multicolor' : colors[0];
+}
+
+// Card types of a card, from the front face's type line
+function getCardTypes(card) {
+    const typeLine = getFaceValues(card, 'type_line')[0] || '';
+    const types = CARD_TYPES.filter(type => typeLine.split('//')[0].includes(type));
+    return types.length > 0 ? types : ['Other'];
+}
+
+// Set up the statistics dashboard
+function setupStatsDashboard() {
+    const statsBtn = document.getElementById('stats-btn');
+    const statsModal = document.getElementById('stats-modal');
+    const closeStatsBtn = document.getElementById('close-stats-btn');
+    const setSelect = document.getElementById('stats-set-select');
+    
+    if (!statsBtn || !statsModal) return;
+    
+    statsBtn.addEventListener('click', () => {
+        statsModal.classList.remove('hidden');
         
-        // First, try to use Scryfall's set cards endpoint to get ALL cards
-        // This endpoint returns all cards including all variants
-        console.log(`Querying for ALL cards from ${setCodeUpper} set using set cards endpoint...`);
-        try {
-            // Try the set cards endpoint: /sets/{code}/cards
-            const setCardsResponse = await fetch(`https://api.scryfall.com/sets/${setCode}/cards`);
-            if (setCardsResponse.ok) {
-                const setCardsData = await setCardsResponse.json();
-                if (setCardsData.data && setCardsData.data.length > 0) {
-                    const allNewCards = setCardsData.data.filter(card => {
-                        if (existingCardIds.has(card.id)) {
-                            return false;
-                        }
-                        if (card.set && card.set.toLowerCase() !== setCode.toLowerCase()) {
-                            return false;
-                        }
-                        if (card.image_uris && card.image_uris.normal) {
-                            return true;
-                        }
-                        if (card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris) {
-                            return true;
-                        }
-                        return false;
-                    });
-                    
-                    if (allNewCards.length > 0) {
-                        console.log(`Found ${allNewCards.length} additional cards from set cards endpoint (response had ${setCardsData.data.length} cards, total_cards: ${setCardsData.total_cards || 'unknown'})`);
-                        cards = [...cards, ...allNewCards];
-                        allNewCards.forEach(card => existingCardIds.add(card.id));
-                        foundNewCards = true;
-                        
-                        // Handle pagination for set cards endpoint
-                        if (setCardsData.has_more && setCardsData.next_page) {
-                            console.log(`Set cards endpoint has pagination, fetching all pages...`);
-                            let nextPage = setCardsData.next_page;
-                            while (nextPage) {
-                                try {
-                                    const pageResponse = await fetch(nextPage);
-                                    if (pageResponse.ok) {
-                                        const pageData = await pageResponse.json();
-                                        if (pageData.data && pageData.data.length > 0) {
-                                            const moreNewCards = pageData.data.filter(card => {
-                                                if (existingCardIds.has(card.id)) {
-                                                    return false;
-                                                }
-                                                if (card.set && card.set.toLowerCase() !== setCode.toLowerCase()) {
-                                                    return false;
-                                                }
-                                                if (card.image_uris && card.image_uris.normal) {
-                                                    return true;
-                                                }
-                                                if (card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris) {
-                                                    return true;
-                                                }
-                                                return false;
-                                            });
-                                            
-                                            if (moreNewCards.length > 0) {
-                                                console.log(`Found ${moreNewCards.length} more cards from set cards pagination`);
-                                                cards = [...cards, ...moreNewCards];
-                                                moreNewCards.forEach(card => existingCardIds.add(card.id));
-                                            }
-                                            
-                                            nextPage = pageData.has_more ? pageData.next_page : null;
-                                        } else {
-                                            nextPage = null;
-                                        }
-                                    } else {
-                                        nextPage = null;
-                                    }
-                                } catch (err) {
-                                    console.error('Error fetching set cards pagination:', err);
-                                    nextPage = null;
-                                }
-                            }
-                        }
-                    }
-                }
-            } else {
-                // Fallback to search query if set endpoint doesn't work
-                console.log(`Set cards endpoint returned ${setCardsResponse.status}, trying search query...`);
-                const allCardsResponse = await fetch(`${SCRYFALL_API}?q=set:${setCode}&unique=prints`);
-                if (allCardsResponse.ok) {
-                    const allCardsData = await allCardsResponse.json();
-                    if (allCardsData.data && allCardsData.data.length > 0) {
-                        const allNewCards = allCardsData.data.filter(card => {
-                            if (existingCardIds.has(card.id)) {
-                                return false;
-                            }
-                            if (card.set && card.set.toLowerCase() !== setCode.toLowerCase()) {
-                                return false;
-                            }
-                            if (card.image_uris && card.image_uris.normal) {
-                                return true;
-                            }
-                            if (card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris) {
-                                return true;
-                            }
-                            return false;
-                        });
-                        
-                        if (allNewCards.length > 0) {
-                            console.log(`Found ${allNewCards.length} additional cards from search query with unique=prints (response had ${allCardsData.data.length} cards)`);
-                            cards = [...cards, ...allNewCards];
-                            allNewCards.forEach(card => existingCardIds.add(card.id));
-                            foundNewCards = true;
-                            
-                            // Handle pagination
-                            if (allCardsData.has_more && allCardsData.next_page) {
-                                let nextPage = allCardsData.next_page;
-                                while (nextPage) {
-                                    try {
-                                        const pageResponse = await fetch(nextPage);
-                                        if (pageResponse.ok) {
-                                            const pageData = await pageResponse.json();
-                                            if (pageData.data && pageData.data.length > 0) {
-                                                const moreNewCards = pageData.data.filter(card => {
-                                                    if (existingCardIds.has(card.id)) {
-                                                        return false;
-                                                    }
-                                                    if (card.set && card.set.toLowerCase() !== setCode.toLowerCase()) {
-                                                        return false;
-                                                    }
-                                                    if (card.image_uris && card.image_uris.normal) {
-                                                        return true;
-                                                    }
-                                                    if (card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris) {
-                                                        return true;
-                                                    }
-                                                    return false;
-                                                });
-                                                
-                                                if (moreNewCards.length > 0) {
-                                                    cards = [...cards, ...moreNewCards];
-                                                    moreNewCards.forEach(card => existingCardIds.add(card.id));
-                                                }
-                                                
-                                                nextPage = pageData.has_more ? pageData.next_page : null;
-                                            } else {
-                                                nextPage = null;
-                                            }
-                                        } else {
-                                            nextPage = null;
-                                        }
-                                    } catch (err) {
-                                        console.error('Error fetching search pagination:', err);
-                                        nextPage = null;
-                                    }
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-        } catch (err) {
-            console.log('Set cards endpoint query failed, continuing with variant queries...', err);
+        // Break down the set being viewed unless another one was picked
+        if (setSelect) {
+            setSelect.innerHTML = '';
+            Object.values(SETS).forEach(set => {
+                const option = document.createElement('option');
+                option.value = set.code;
+                option.textContent = `${set.name} (${set.code.toUpperCase()})`;
+                setSelect.appendChild(option);
+            });
+            setSelect.value = currentSet;
         }
-        
-        // Then try specific variant queries to catch any remaining cards
-        const variantQueries = [
-            `set:${setCode} (is:showcase or is:extendedart or is:borderless or is:promo)`,
-            `set:${setCode} frame:showcase`,
-            `set:${setCode} frame:extendedart`,
-            `set:${setCode} frame:borderless`,
-            // Try to catch borderless battle pose cards
-            `set:${setCode} borderless`,
-            `set:${setCode} (borderless or "battle pose" or "neon")`
-        ];
-        
-        const existingCardIds = new Set(cards.map(card => card.id));
-        let foundNewCards = false;
-        
-        for (const query of variantQueries) {
-            try {
-                // Use unique=prints to get all printings including variants
-                const queryUrl = `${SCRYFALL_API}?q=${encodeURIComponent(query)}&unique=prints`;
-                const response = await fetch(queryUrl);
-                
-                if (response.ok) {
-                    const data = await response.json();
-                    
-                    if (data.object === 'error') {
-                        console.log(`Query "${query}" returned error:`, data);
-                        continue;
-                    }
-                    
-                    if (data.data && data.data.length > 0) {
-                        const newCards = data.data.filter(card => {
-                            // Only add cards we don't already have
-                            if (existingCardIds.has(card.id)) {
-                                return false;
-                            }
-                            
-                            // Only include cards from the current set
-                            if (card.set && card.set.toLowerCase() !== setCode.toLowerCase()) {
-                                return false;
-                            }
-                            
-                            // Handle both regular cards and double-faced cards
-                            if (card.image_uris && card.image_uris.normal) {
-                                return true;
-                            }
-                            if (card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris) {
-                                return true;
-                            }
-                            return false;
-                        });
-                        
-                        if (newCards.length > 0) {
-                            console.log(`Found ${newCards.length} additional cards from query: ${query} (total in response: ${data.data.length}, has_more: ${data.has_more}, total_cards: ${data.total_cards || 'unknown'})`);
-                            cards = [...cards, ...newCards];
-                            newCards.forEach(card => existingCardIds.add(card.id));
-                            foundNewCards = true;
-                            
-                            // If this is the main set query (set:tla), handle all pagination
-                            if (query === `set:${setCode}` && data.has_more && data.next_page) {
-                                console.log(`Main set variant query has pagination, fetching all pages...`);
-                                let nextPage = data.next_page;
-                                while (nextPage) {
-                                    try {
-                                        const pageResponse = await fetch(nextPage);
-                                        if (pageResponse.ok) {
-                                            const pageData = await pageResponse.json();
-                                            if (pageData.data && pageData.data.length > 0) {
-                                                const moreNewCards = pageData.data.filter(card => {
-                                                    if (existingCardIds.has(card.id)) {
-                                                        return false;
-                                                    }
-                                                    if (card.set && card.set.toLowerCase() !== setCode.toLowerCase()) {
-                                                        return false;
-                                                    }
-                                                    if (card.image_uris && card.image_uris.normal) {
-                                                        return true;
-                                                    }
-                                                    if (card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris) {
-                                                        return true;
-                                                    }
-                                                    return false;
-                                                });
-                                                
-                                                if (moreNewCards.length > 0) {
-                                                    console.log(`Found ${moreNewCards.length} more cards from main set pagination`);
-                                                    cards = [...cards, ...moreNewCards];
-                                                    moreNewCards.forEach(card => existingCardIds.add(card.id));
-                                                }
-                                                
-                                                nextPage = pageData.has_more ? pageData.next_page : null;
-                                            } else {
-                                                nextPage = null;
-                                            }
-                                        } else {
-                                            nextPage = null;
-                                        }
-                                    } catch (err) {
-                                        console.error('Error fetching main set pagination:', err);
-                                        nextPage = null;
-                                    }
-                                }
-                            }
-                            
-                            // Handle pagination for variants - keep fetching until all pages are loaded
-                            if (data.has_more && data.next_page) {
-                                console.log(`Variant query has more pages. Fetching additional variant cards...`);
-                                let nextPage = data.next_page;
-                                while (nextPage) {
-                                    try {
-                                        const pageResponse = await fetch(nextPage);
-                                        if (pageResponse.ok) {
-                                            const pageData = await pageResponse.json();
-                                            if (pageData.data && pageData.data.length > 0) {
-                                                const moreNewCards = pageData.data.filter(card => {
-                                                    // Only add cards we don't already have
-                                                    if (existingCardIds.has(card.id)) {
-                                                        return false;
-                                                    }
-                                                    
-                                                    // Only include cards from the current set
-                                                    if (card.set && card.set.toLowerCase() !== setCode.toLowerCase()) {
-                                                        return false;
-                                                    }
-                                                    
-                                                    if (card.image_uris && card.image_uris.normal) {
-                                                        return true;
-                                                    }
-                                                    if (card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris) {
-                                                        return true;
-                                                    }
-                                                    return false;
-                                                });
-                                                
-                                                if (moreNewCards.length > 0) {
-                                                    console.log(`Found ${moreNewCards.length} more variant cards from pagination`);
-                                                    cards = [...cards, ...moreNewCards];
-                                                    moreNewCards.forEach(card => existingCardIds.add(card.id));
-                                                }
-                                                
-                                                nextPage = pageData.has_more ? pageData.next_page : null;
-                                            } else {
-                                                nextPage = null;
-                                            }
-                                        } else {
-                                            nextPage = null;
-                                        }
-                                    } catch (err) {
-                                        console.error('Error fetching variant pagination:', err);
-                                        nextPage = null;
-                                    }
-                                }
-                            }
-                        }
-                    }
-                }
-            } catch (err) {
-                console.log(`Variant query "${query}" failed:`, err);
-                continue;
-            }
+        renderStatsDashboard();
+    });
+    
+    if (closeStatsBtn) {
+        closeStatsBtn.addEventListener('click', () => {
+            statsModal.classList.add('hidden');
+        });
+    }
+    
+    // Close when clicking outside
+    statsModal.addEventListener('click', (e) => {
+        if (e.target === statsModal) {
+            statsModal.classList.add('hidden');
         }
-        
-        // Specifically look for the missing cards by collector number (if any)
-        // First check which ones are actually missing
-        if (setConfig.missingCards && setConfig.missingCards.length > 0) {
-            const actuallyMissing = setConfig.missingCards.filter(num => {
-                const found = cards.some(card => parseInt(card.collector_number) === num);
-                if (found) {
-                    console.log(`Card #${num} is already in the main set, skipping search`);
-                }
-                return !found;
-            });
-            
-            if (actuallyMissing.length > 0) {
-                console.log(`Looking for specific missing cards (${actuallyMissing.join(', ')})...`);
-                await fetchSpecificCards(actuallyMissing, existingCardIds, setCode);
-                
-                // Also try a broader search for any cards with these numbers that mention Avatar
-                await fetchCardsByNumberAndName(actuallyMissing, existingCardIds, setCode);
-            } else {
-                console.log('All specified missing cards are already in the main set');
-            }
+    });
+    
+    if (setSelect) {
+        setSelect.addEventListener('change', () => renderSetBreakdown(setSelect.value));
+    }
+}
+
+// Fill in the dashboard: a progress bar per set, then the breakdown of the selected set
+async function renderStatsDashboard() {
+    const progressEl = document.getElementById('stats-set-progress');
+    const setSelect = document.getElementById('stats-set-select');
+    
+    if (progressEl) {
+        const rows = [];
+        for (const set of Object.values(SETS)) {
+            const { collected, total } = getSetCompletion(set.code, await getSavedSetCards(set.code));
+            rows.push(createProgressRow(`${set.name} (${set.code.toUpperCase()})`, collected, total));
         }
-        
-        // Re-sort all cards after all fetching is complete
-        cards.sort((a, b) => {
-            const numA = parseFloat(a.collector_number) || 0;
-            const numB = parseFloat(b.collector_number) || 0;
-            return numA - numB;
+        progressEl.innerHTML = '';
+        rows.forEach(row => progressEl.appendChild(row));
+    }
+    
+    await renderSetBreakdown(setSelect ? setSelect.value : currentSet);
+}
+
+// Completion by rarity, color, card type and treatment, plus foil ratio and value, for one set
+async function renderSetBreakdown(setCode) {
+    const breakdownEl = document.getElementById('stats-breakdown');
+    if (!breakdownEl) return;
+    
+    const setCards = (await getSavedSetCards(setCode)).filter(card => !(card.is_placeholder && !card.name));
+    breakdownEl.innerHTML = '';
+    
+    if (setCards.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'history-empty';
+        empty.textContent = 'Open this set once to load its cards.';
+        breakdownEl.appendChild(empty);
+        return;
+    }
+    
+    // Count collected and total cards per group
+    const tally = (groups, collected) => {
+        groups.forEach(group => {
+            const counts = group.counts[group.key] || (group.counts[group.key] = { collected: 0, total: 0 });
+            counts.total++;
+            if (collected) {
+                counts.collected++;
+            }
         });
+    };
+    const byRarity = {};
+    const byColor = {};
+    const byType = {};
+    const byTreatment = {};
+    let copies = 0;
+    let foilCopies = 0;
+    
+    setCards.forEach(card => {
+        const cardState = getCardState(getCardKey(card), setCode);
+        const collected = isCardCollected(cardState);
+        copies += getTotalQuantity(cardState);
+        foilCopies += getQuantity(cardState, 'foil') + getQuantity(cardState, 'etched');
         
-        // Remove any duplicate cards (by ID) just to be safe
-        const uniqueCards = [];
-        const seenIds = new Set();
-        for (const card of cards) {
-            if (!seenIds.has(card.id)) {
-                seenIds.add(card.id);
-                uniqueCards.push(card);
-            }
-        }
+        tally([
+            { counts: byRarity, key: card.rarity || 'unknown' },
+            { counts: byColor, key: getCardColorGroup(card) },
+            { counts: byTreatment, key: getCardTreatment(card) },
+            ...getCardTypes(card).map(type => ({ counts: byType, key: type }))
+        ], collected);
+    });
+    
+    const addGroup = (title, counts, order, labelFor) => {
+        const group = document.createElement('div');
+        group.className = 'stats-group';
         
-        if (uniqueCards.length !== cards.length) {
-            console.log(`Removed ${cards.length - uniqueCards.length} duplicate cards`);
-            cards = uniqueCards;
-        }
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        group.appendChild(heading);
+        
+        order.filter(key => counts[key]).forEach(key => {
+            group.appendChild(createProgressRow(labelFor(key), counts[key].collected, counts[key].total));
+        });
+        breakdownEl.appendChild(group);
+    };
+    
+    const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+    addGroup('Rarity', byRarity, [...RARITY_ORDER, 'unknown'], capitalize);
+    addGroup('Color', byColor, Object.keys(COLOR_GROUPS), key => COLOR_GROUPS[key]);
+    addGroup('Card type', byType, [...CARD_TYPES, 'Other'], key => key);
+    addGroup('Treatment', byTreatment, Object.keys(TREATMENTS), key => TREATMENTS[key].label);
+    
+    // Foil ratio and value
+    const value = getSetValue(setCode);
+    const summary = document.createElement('div');
+    summary.className = 'stats-group';
+    
+    const heading = document.createElement('h4');
+    heading.textContent = 'Foils and value';
+    summary.appendChild(heading);
+    
+    const facts = [
+        ['Foil copies', copies > 0 ? `${foilCopies} of ${copies} (${Math.round((foilCopies / copies) * 100)}%)` : '0'],
+        ['Collection value', formatPrice(value.owned)],
+        ['Cost of missing cards', formatPrice(value.missing)]
+    ];
+    facts.forEach(([label, text]) => {
+        const row = document.createElement('div');
+        row.className = 'setting-item';
         
-        // Add placeholder cards for missing cards
-        addPlaceholderCards(setCode);
+        const labelEl = document.createElement('label');
+        labelEl.textContent = `${label}:`;
+        const valueEl = document.createElement('span');
+        valueEl.textContent = text;
         
-        // Re-sort after adding placeholders
-        cards.sort((a, b) => {
-            const numA = parseFloat(a.collector_number) || 0;
-            const numB = parseFloat(b.collector_number) || 0;
-            return numA - numB;
+        row.appendChild(labelEl);
+        row.appendChild(valueEl);
+        summary.appendChild(row);
+    });
+    breakdownEl.appendChild(summary);
+}
+
+// A labelled progress bar showing collected / total
+function createProgressRow(label, collected, total) {
+    const row = document.createElement('div');
+    row.className = 'progress-row';
+    
+    const labelEl = document.createElement('span');
+    labelEl.className = 'progress-label';
+    labelEl.textContent = label;
+    
+    const bar = document.createElement('div');
+    bar.className = 'progress-bar';
+    const fill = document.createElement('div');
+    fill.className = 'progress-fill';
+    const percent = total > 0 ? Math.min(100, (collected / total) * 100) : 0;
+    fill.style.width = `${percent}%`;
+    bar.appendChild(fill);
+    
+    const countEl = document.createElement('span');
+    countEl.className = 'progress-count';
+    countEl.textContent = `${collected} / ${total}`;
+    
+    row.appendChild(labelEl);
+    row.appendChild(bar);
+    row.appendChild(countEl);
+    return row;
+}
+
+// Maximum image cache sizes offered in settings
+const IMAGE_CACHE_LIMIT_OPTIONS = [100, 250, 500, 1000, 2000].map(mb => mb * 1024 * 1024);
+
+// Set up offline image cache controls in settings
+function setupImageCache() {
+    const settingsBtn = document.getElementById('settings-btn');
+    const limitSelect = document.getElementById('image-cache-limit-select');
+    const downloadBtn = document.getElementById('download-images-btn');
+    const clearBtn = document.getElementById('clear-images-btn');
+    
+    if (settingsBtn) {
+        settingsBtn.addEventListener('click', () => {
+            updateImageCacheUsage();
+            updateDownloadImagesButton();
+        });
+    }
+    
+    if (limitSelect) {
+        IMAGE_CACHE_LIMIT_OPTIONS.forEach(bytes => {
+            const option = document.createElement('option');
+            option.value = bytes;
+            option.textContent = formatBytes(bytes);
+            limitSelect.appendChild(option);
         });
         
-        // Final update after all cards are loaded
-        console.log(`Final total: ${cards.length} cards loaded (expected: ${setCode === 'tla' ? 394 : setCode === 'tle' ? 317 : 'unknown'})`);
+        getDbSetting(IMAGE_CACHE_LIMIT_SETTING, DEFAULT_IMAGE_CACHE_LIMIT)
+            .then(limit => {
+                limitSelect.value = limit;
+            })
+            .catch(() => {
+                limitSelect.value = DEFAULT_IMAGE_CACHE_LIMIT;
+            });
         
-        // Render and update stats with final count
-        renderCards();
-        updateStats();
-    } catch (error) {
-        console.error('Error fetching variant cards:', error);
+        limitSelect.addEventListener('change', async () => {
+            try {
+                await putDbSetting(IMAGE_CACHE_LIMIT_SETTING, Number(limitSelect.value));
+                // Let the service worker evict images if the new limit is lower
+                if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+                    navigator.serviceWorker.controller.postMessage({ type: 'enforce-image-cache-limit' });
+                }
+                setTimeout(updateImageCacheUsage, 500);
+            } catch (e) {
+                console.error('Error saving image cache limit:', e);
+            }
+        });
+    }
+    
+    if (downloadBtn) {
+        downloadBtn.addEventListener('click', () => downloadSetImages(currentSet));
+    }
+    
+    if (clearBtn) {
+        clearBtn.addEventListener('click', clearImageCache);
     }
 }
 
-// Fetch specific cards by collector number that might be in different sets
-async function fetchSpecificCards(collectorNumbers, existingCardIds, setCode = currentSet) {
-    const setConfig = SETS[setCode];
+// Format a byte count for display
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) {
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1).replace(/\.0$/, '')} GB`;
+    }
+    if (bytes >= 1024 * 1024) {
+        return `${Math.round(bytes / (1024 * 1024))} MB`;
+    }
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+// Show how much space cached card images use
+async function updateImageCacheUsage() {
+    const usageEl = document.getElementById('image-cache-usage');
+    if (!usageEl) return;
+    
     try {
-        for (const number of collectorNumbers) {
-            // Query for cards with this collector number in the set
-            // Try multiple query formats to catch cards in different sections
-            const queries = [
-                `set:${setCode} number:${number}`,
-                `set:"${setConfig.name}" number:${number}`,
-                `setname:"Avatar" number:${number}`,
-                `number:${number} set:${setCode}`,
-                `cn:${number} set:${setCode}`,
-                `collector:${number} set:${setCode}`
-            ];
-            
-            let found = false;
-            for (const query of queries) {
-                try {
-                    const response = await fetch(`${SCRYFALL_API}?q=${encodeURIComponent(query)}`);
-                    
-                    if (response.ok) {
-                        const data = await response.json();
-                        
-                        if (data.object === 'error') {
-                            continue;
-                        }
-                        
-                        if (data.data && data.data.length > 0) {
-                            const newCards = data.data.filter(card => {
-                                // Check if collector number matches
-                                const cardNum = parseInt(card.collector_number);
-                                if (cardNum !== number) {
-                                    return false;
-                                }
-                                
-                                // Must be from the current set
-                                if (!card.set || card.set.toLowerCase() !== setCode.toLowerCase()) {
-                                    return false;
-                                }
-                                
-                                // Only add if we don't have it and it has an image
-                                if (existingCardIds.has(card.id)) {
-                                    return false;
-                                }
-                                
-                                if (card.image_uris && card.image_uris.normal) {
-                                    return true;
-                                }
-                                if (card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris) {
-                                    return true;
-                                }
-                                return false;
-                            });
-                            
-                            if (newCards.length > 0) {
-                                console.log(`Found card #${number}: ${newCards[0].name || 'Unknown'} (Set: ${newCards[0].set || 'Unknown'})`);
-                                cards = [...cards, ...newCards];
-                                newCards.forEach(card => existingCardIds.add(card.id));
-                                found = true;
-                                
-                                // Handle pagination
-                                if (data.has_more && data.next_page) {
-                                    await fetchMoreCards(data.next_page, existingCardIds);
-                                }
-                                break; // Found it, move to next number
-                            }
-                        }
-                    }
-                } catch (err) {
-                    continue;
-                }
-            }
-            
-            if (!found) {
-                console.log(`Warning: Could not find card #${number} in Avatar set`);
+        const entries = await getImageCacheEntries();
+        const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+        usageEl.textContent = `${formatBytes(total)} (${entries.length} images)`;
+    } catch (e) {
+        console.error('Error reading image cache usage:', e);
+        usageEl.textContent = 'Unavailable';
+    }
+}
+
+// Label the download button with the current set
+function updateDownloadImagesButton() {
+    const downloadBtn = document.getElementById('download-images-btn');
+    if (downloadBtn && !downloadBtn.disabled) {
+        downloadBtn.textContent = `Download All ${currentSet.toUpperCase()} Images`;
+    }
+}
+
+// Image URLs shown for a card (both faces of double-faced cards)
+function getCardImageUrls(card) {
+    if (card.is_placeholder) {
+        return [];
+    }
+    if (card.image_uris && card.image_uris.normal) {
+        return [card.image_uris.normal];
+    }
+    if (card.card_faces) {
+        return card.card_faces
+            .filter(face => face.image_uris && face.image_uris.normal)
+            .map(face => face.image_uris.normal);
+    }
+    return [];
+}
+
+// Download every image of a set so the service worker caches it for offline use
+async function downloadSetImages(setCode) {
+    const downloadBtn = document.getElementById('download-images-btn');
+    const setCards = cardsCache[setCode] || [];
+    
+    if (!navigator.serviceWorker || !navigator.serviceWorker.controller) {
+        showStatusMessage('image-cache-status', 'Offline images need the installed app (service worker not active).', 'error');
+        return;
+    }
+    if (setCards.length === 0) {
+        showStatusMessage('image-cache-status', `${setCode.toUpperCase()} cards are not loaded yet.`, 'error');
+        return;
+    }
+    
+    // Skip images that are already cached
+    const cachedUrls = new Set((await getImageCacheEntries().catch(() => [])).map(entry => entry.url));
+    const urls = setCards.flatMap(getCardImageUrls).filter(url => !cachedUrls.has(url));
+    
+    downloadBtn.disabled = true;
+    let done = 0;
+    let failed = 0;
+    
+    // A few downloads at a time; the image CDN is not rate limited like the API
+    const queue = [...urls];
+    const worker = async () => {
+        while (queue.length > 0) {
+            const url = queue.shift();
+            try {
+                const response = await fetch(url, { mode: 'cors' });
+                if (!response.ok) failed++;
+            } catch (e) {
+                failed++;
             }
+            done++;
+            downloadBtn.textContent = `Downloading ${done} / ${urls.length}…`;
         }
-        
-        // Cards will be sorted and displayed at the end of fetchVariantCards
-    } catch (error) {
-        console.error('Error fetching specific cards:', error);
+    };
+    await Promise.all([worker(), worker(), worker(), worker()]);
+    
+    downloadBtn.disabled = false;
+    updateDownloadImagesButton();
+    updateImageCacheUsage();
+    
+    if (failed > 0) {
+        showStatusMessage('image-cache-status', `Downloaded ${urls.length - failed} images, ${failed} failed.`, 'error');
+    } else {
+        showStatusMessage('image-cache-status', urls.length > 0 ? `Downloaded ${urls.length} images.` : 'All images are already saved.', 'success');
     }
 }
 
-// Fetch cards by collector number that might be in related sets (like Secret Lair)
-async function fetchCardsByNumberAndName(collectorNumbers, existingCardIds, setCode = currentSet) {
-    const setConfig = SETS[setCode];
+// Delete all cached card images
+async function clearImageCache() {
     try {
-        // These cards might be in a related set like Secret Lair or a promo set
-        // Search for cards with these numbers that are associated with Avatar
-        for (const number of collectorNumbers) {
-            const queries = [
-                `cn:${number} (set:${setCode} or setname:"Avatar")`,
-                `number:${number} (set:${setCode} or setname:"Avatar")`,
-                `collector:${number} (set:${setCode} or setname:"Avatar")`,
-                // Also try searching by the actual card names if we can find them
-                `cn:${number}`
-            ];
-            
-            for (const query of queries) {
-                try {
-                    const response = await fetch(`${SCRYFALL_API}?q=${encodeURIComponent(query)}`);
-                    
-                    if (response.ok) {
-                        const data = await response.json();
-                        
-                        if (data.object === 'error') {
-                            continue;
-                        }
-                        
-                        if (data.data && data.data.length > 0) {
-                            // Filter for cards that match the collector number and are from the current set
-                            const newCards = data.data.filter(card => {
-                                const cardNum = parseInt(card.collector_number);
-                                if (cardNum !== number) {
-                                    return false;
-                                }
-                                
-                                // Must be from the current set
-                                if (!card.set || card.set.toLowerCase() !== setCode.toLowerCase()) {
-                                    return false;
-                                }
-                                
-                                // Only add if we don't have it
-                                if (existingCardIds.has(card.id)) {
-                                    return false;
-                                }
-                                
-                                if (card.image_uris && card.image_uris.normal) {
-                                    return true;
-                                }
-                                if (card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris) {
-                                    return true;
-                                }
-                                return false;
-                            });
-                            
-                            if (newCards.length > 0) {
-                                console.log(`Found card #${number} in related set: ${newCards[0].name || 'Unknown'} (Set: ${newCards[0].set_name || newCards[0].set || 'Unknown'})`);
-                                cards = [...cards, ...newCards];
-                                newCards.forEach(card => existingCardIds.add(card.id));
-                                
-                                // Handle pagination
-                                if (data.has_more && data.next_page) {
-                                    await fetchMoreCards(data.next_page, existingCardIds);
-                                }
-                                break; // Found it
-                            }
-                        }
-                    }
-                } catch (err) {
-                    continue;
-                }
-            }
+        if ('caches' in window) {
+            await caches.delete(IMAGE_CACHE_NAME);
         }
-        
-        // Cards will be sorted and displayed at the end of fetchVariantCards
-    } catch (error) {
-        console.error('Error fetching cards by number and name:', error);
+        await clearImageCacheEntries();
+        showStatusMessage('image-cache-status', 'Image cache cleared.', 'success');
+    } catch (e) {
+        console.error('Error clearing image cache:', e);
+        showStatusMessage('image-cache-status', 'Could not clear the image cache.', 'error');
     }
+    updateImageCacheUsage();
 }
 
-// Fetch more cards if paginated
-async function fetchMoreCards(nextPageUrl, existingCardIds = null) {
-    try {
-        const response = await fetch(nextPageUrl);
-        const data = await response.json();
+// Colors of the lines in price history charts
+const CHART_COLORS = {
+    total: '#4ade80',
+    set: '#60a5fa',
+    nonfoil: '#eaeaea',
+    foil: '#C0C0C0',
+    etched: '#D4A843'
+};
+
+// Number of gainers and losers listed in the price history view
+const PRICE_CHANGES_SHOWN = 5;
+
+// Local calendar day of a timestamp as "YYYY-MM-DD"
+function getDateKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Record today's card prices and collection value for a set just fetched from Scryfall.
+// There is one snapshot per set and day; later refreshes on the same day replace it.
+function recordPriceSnapshot(setCode) {
+    const setCards = cardsCache[setCode];
+    if (!setCards) return;
+    
+    const takenAt = Date.now();
+    const date = getDateKey(takenAt);
+    const priceFields = Object.values(CURRENCIES).flatMap(currency => Object.values(currency.fields));
+    
+    // Only the price fields we show, to keep snapshots small
+    const prices = {};
+    setCards.forEach(card => {
+        if (card.is_placeholder || !card.prices) return;
         
-        if (data.data && data.data.length > 0) {
-            console.log(`Loading page: ${data.data.length} more cards...`);
-            
-            let moreCards = data.data.filter(card => {
-                // Handle both regular cards and double-faced cards
-                if (card.image_uris && card.image_uris.normal) {
-                    return true;
-                }
-                if (card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris) {
-                    return true;
-                }
-                return false;
-            });
-            
-            // If we have existing card IDs (from variant fetch), filter out duplicates
-            if (existingCardIds) {
-                moreCards = moreCards.filter(card => !existingCardIds.has(card.id));
-                moreCards.forEach(card => existingCardIds.add(card.id));
-            }
-            
-            if (moreCards.length > 0) {
-                moreCards.sort((a, b) => {
-                    const numA = parseFloat(a.collector_number) || 0;
-                    const numB = parseFloat(b.collector_number) || 0;
-                    return numA - numB;
-                });
-                
-                cards = [...cards, ...moreCards].sort((a, b) => {
-                    const numA = parseFloat(a.collector_number) || 0;
-                    const numB = parseFloat(b.collector_number) || 0;
-                    return numA - numB;
-                });
-            }
-            
-            console.log(`Total cards so far: ${cards.length} (has_more: ${data.has_more})`);
-            
-            if (data.has_more && data.next_page) {
-                await fetchMoreCards(data.next_page, existingCardIds);
-            } else {
-                console.log(`Finished loading page. Total cards: ${cards.length}`);
+        const cardPrices = {};
+        priceFields.forEach(field => {
+            if (card.prices[field]) {
+                cardPrices[field] = card.prices[field];
             }
+        });
+        if (Object.keys(cardPrices).length > 0) {
+            prices[getCardKey(card)] = cardPrices;
         }
-    } catch (error) {
-        console.error('Error fetching more cards:', error);
+    });
+    
+    const value = {};
+    Object.keys(CURRENCIES).forEach(currencyKey => {
+        value[currencyKey] = getSetValue(setCode, currencyKey).owned;
+    });
+    
+    putPriceSnapshot({ setCode, date, takenAt, prices }, { profileId: activeProfileId, setCode, date, takenAt, value }).catch(error => {
+        console.error('Error saving price snapshot:', error);
+    });
+}
+
+// Set up the price history view
+function setupPriceHistory() {
+    const historyBtn = document.getElementById('history-btn');
+    const historyModal = document.getElementById('history-modal');
+    const closeHistoryBtn = document.getElementById('close-history-btn');
+    const cardSelect = document.getElementById('history-card-select');
+    
+    if (!historyBtn || !historyModal) return;
+    
+    historyBtn.addEventListener('click', () => {
+        historyModal.classList.remove('hidden');
+        showPriceHistory();
+    });
+    
+    if (closeHistoryBtn) {
+        closeHistoryBtn.addEventListener('click', () => {
+            historyModal.classList.add('hidden');
+        });
+    }
+    
+    // Close when clicking outside
+    historyModal.addEventListener('click', (e) => {
+        if (e.target === historyModal) {
+            historyModal.classList.add('hidden');
+        }
+    });
+    
+    if (cardSelect) {
+        cardSelect.addEventListener('change', () => renderCardPriceChart(cardSelect.value));
     }
 }
 
-// Alternative fetch method if primary fails
-async function fetchCardsAlternative(setCode = currentSet) {
-    const setConfig = SETS[setCode];
-    const loadingEl = document.getElementById('loading');
+// Load the snapshots and fill in the history view
+async function showPriceHistory() {
+    const cardSelect = document.getElementById('history-card-select');
+    let valueSnapshots = [];
+    
     try {
-        // Try different queries to get all cards including variants
-        // Query all printings without uniqueness constraints
-        const endpoints = [
-            `${SCRYFALL_API}?q=set:${setCode}`,
-            `${SCRYFALL_API}?q=s:${setCode}`,
-            `${SCRYFALL_API}?q=set:"${setConfig.name}"`,
-            `${SCRYFALL_API}?q=set:"Avatar The Last Airbender"`
-        ];
-        
-        for (const endpoint of endpoints) {
-            try {
-                const response = await fetch(endpoint);
-                
-                if (response.ok) {
-                    const data = await response.json();
-                    
-                    // Check for API errors
-                    if (data.object === 'error') {
-                        console.log(`Endpoint "${endpoint}" returned error:`, data);
-                        continue;
-                    }
-                    
-                    if (data.data && data.data.length > 0) {
-                        console.log(`Successfully loaded ${data.data.length} cards using endpoint: ${endpoint} (total: ${data.total_cards || 'unknown'})`);
-                        cards = data.data
-                            .filter(card => {
-                                // Handle both regular cards and cards with card_faces
-                                if (card.image_uris && card.image_uris.normal) {
-                                    return true;
-                                }
-                                // Check if it's a double-faced card
-                                if (card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris) {
-                                    return true;
-                                }
-                                return false;
-                            })
-                            .sort((a, b) => {
-                                const numA = parseFloat(a.collector_number) || 0;
-                                const numB = parseFloat(b.collector_number) || 0;
-                                return numA - numB;
-                            });
-                        
-                        if (data.has_more && data.next_page) {
-                            console.log('Fetching additional pages from alternative endpoint...');
-                            await fetchMoreCards(data.next_page);
-                        }
-                        
-                        console.log(`Total cards loaded: ${cards.length}`);
-                        loadingEl.style.display = 'none';
-                        return;
-                    }
-                }
-            } catch (err) {
-                console.log(`Endpoint "${endpoint}" failed, trying next...`, err);
-                continue;
-            }
-        }
+        [priceSnapshots, valueSnapshots] = await Promise.all([getPriceSnapshots(currentSet), getValueSnapshots(activeProfileId)]);
     } catch (error) {
-        console.error('Alternative fetch also failed:', error);
+        console.error('Error loading price history:', error);
+        priceSnapshots = [];
+    }
+    
+    renderValueChart(valueSnapshots);
+    
+    // Offer every priced card of the current set, keeping the previous choice if it's still there
+    if (cardSelect) {
+        const previous = cardSelect.value;
+        cardSelect.innerHTML = '';
+        [...cards].sort(compareCollectorNumbers).forEach(card => {
+            if (card.is_placeholder) return;
+            const option = document.createElement('option');
+            option.value = getCardKey(card);
+            option.textContent = `#${card.collector_number} ${getCardName(card)}`;
+            cardSelect.appendChild(option);
+        });
+        if (previous && findCardByKey(previous)) {
+            cardSelect.value = previous;
+        }
+        renderCardPriceChart(cardSelect.value);
     }
     
-    // If all else fails, show error message
-    loadingEl.textContent = 'Unable to load cards. Please check the set code or try again later.';
+    renderPriceChanges();
 }
 
-// Add placeholder cards for cards not found in Scryfall
-function addPlaceholderCards(setCode) {
-    const setConfig = SETS[setCode];
-    if (!setConfig || !setConfig.placeholderCards || setConfig.placeholderCards.length === 0) {
-        return;
-    }
+// Chart the value of the whole collection (every set) and of the current set over time
+function renderValueChart(valueSnapshots) {
+    const chartEl = document.getElementById('value-chart');
+    if (!chartEl) return;
     
-    const existingNumbers = new Set(cards.map(card => parseFloat(card.collector_number)));
+    // A set's value carries forward until its next snapshot
+    const dates = [...new Set(valueSnapshots.map(snapshot => snapshot.date))].sort();
+    const latestBySet = {};
+    const totalPoints = [];
+    const setPoints = [];
     
-    setConfig.placeholderCards.forEach(placeholder => {
-        const cardNumber = placeholder.number;
+    dates.forEach(date => {
+        valueSnapshots.filter(snapshot => snapshot.date === date).forEach(snapshot => {
+            latestBySet[snapshot.setCode] = snapshot;
+        });
         
-        // Only add if we don't already have this card number
-        if (!existingNumbers.has(cardNumber)) {
-            const placeholderCard = {
-                id: `placeholder-${setCode}-${cardNumber}`,
-                name: placeholder.name || '',
-                collector_number: cardNumber.toString(),
-                set: setCode,
-                is_placeholder: true, // Flag to identify placeholder cards
-                image_uris: null // No image for placeholders
-            };
-            
-            cards.push(placeholderCard);
-            existingNumbers.add(cardNumber);
-            console.log(`Added placeholder card: #${cardNumber} - ${placeholder.name || '(blank)'}`);
+        const snapshots = Object.values(latestBySet);
+        const takenAt = Math.max(...snapshots.map(snapshot => snapshot.takenAt));
+        const total = snapshots.reduce((sum, snapshot) => sum + (snapshot.value[preferences.currency] || 0), 0);
+        totalPoints.push({ time: takenAt, value: total });
+        
+        if (latestBySet[currentSet]) {
+            setPoints.push({ time: takenAt, value: latestBySet[currentSet].value[preferences.currency] || 0 });
         }
     });
+    
+    renderLineChart(chartEl, [
+        { label: 'All sets', color: CHART_COLORS.total, points: totalPoints },
+        { label: currentSet.toUpperCase(), color: CHART_COLORS.set, points: setPoints }
+    ], 'No snapshots yet. One is recorded each day card data is refreshed from Scryfall.');
 }
 
-// Render cards to the DOM
-function renderCards() {
-    const container = document.getElementById('cards-container');
-    container.innerHTML = '';
+// Chart one card's price in each of its finishes over time
+function renderCardPriceChart(cardKey) {
+    const chartEl = document.getElementById('card-price-chart');
+    if (!chartEl) return;
     
-    if (cards.length === 0) {
-        container.innerHTML = '<p style="text-align: center; padding: 2rem;">No cards found.</p>';
+    const card = findCardByKey(cardKey);
+    const series = (card ? getCardFinishes(card, getCardState(cardKey)) : []).map(finish => ({
+        label: FINISH_LABELS[finish],
+        color: CHART_COLORS[finish],
+        points: priceSnapshots
+            .map(snapshot => ({
+                time: snapshot.takenAt,
+                value: getSnapshotPrice(snapshot, cardKey, finish)
+            }))
+            .filter(point => point.value !== undefined)
+    }));
+    
+    renderLineChart(chartEl, series, 'No prices recorded for this card yet.');
+}
+
+// Price of a card in a finish from a snapshot (in the selected currency)
+function getSnapshotPrice(snapshot, cardKey, finish) {
+    const prices = snapshot.prices[cardKey];
+    return prices ? getFinishPrice({ prices }, finish) : undefined;
+}
+
+// List the cards whose prices moved most between the last two snapshots of the current set
+function renderPriceChanges() {
+    const summaryEl = document.getElementById('price-changes-summary');
+    const gainersEl = document.getElementById('price-gainers');
+    const losersEl = document.getElementById('price-losers');
+    if (!summaryEl || !gainersEl || !losersEl) return;
+    
+    gainersEl.innerHTML = '';
+    losersEl.innerHTML = '';
+    
+    if (priceSnapshots.length < 2) {
+        summaryEl.textContent = 'Price changes appear once there are snapshots from two different days.';
         return;
     }
     
-    // Filter cards based on search term
-    let cardsToRender = cards;
-    if (searchTerm) {
-        cardsToRender = cards.filter(card => {
-            const cardName = (card.name || (card.card_faces && card.card_faces[0] && card.card_faces[0].name) || '').toLowerCase();
-            const collectorNumber = (card.collector_number || '').toString();
-            
-            return cardName.includes(searchTerm) || collectorNumber.includes(searchTerm);
+    const previous = priceSnapshots[priceSnapshots.length - 2];
+    const latest = priceSnapshots[priceSnapshots.length - 1];
+    const formatDate = snapshot => new Date(snapshot.takenAt).toLocaleDateString(undefined, { dateStyle: 'medium' });
+    summaryEl.textContent = `${formatDate(previous)} → ${formatDate(latest)}`;
+    
+    const changes = [];
+    cards.forEach(card => {
+        if (card.is_placeholder) return;
+        const cardKey = getCardKey(card);
+        
+        getCardFinishes(card, getCardState(cardKey)).forEach(finish => {
+            const before = getSnapshotPrice(previous, cardKey, finish);
+            const after = getSnapshotPrice(latest, cardKey, finish);
+            if (before === undefined || after === undefined || before === after) return;
+            changes.push({ card, cardKey, finish, before, after, change: after - before });
         });
-    }
+    });
     
-    if (cardsToRender.length === 0) {
-        container.innerHTML = `<p style="text-align: center; padding: 2rem;">No cards found matching "${searchTerm}".</p>`;
+    changes.sort((a, b) => b.change - a.change);
+    const gainers = changes.filter(change => change.change > 0).slice(0, PRICE_CHANGES_SHOWN);
+    const losers = changes.filter(change => change.change < 0).reverse().slice(0, PRICE_CHANGES_SHOWN);
+    
+    fillPriceChangeList(gainersEl, gainers, 'No price increases.');
+    fillPriceChangeList(losersEl, losers, 'No price drops.');
+}
+
+// Fill a gainers/losers list; clicking an entry charts that card
+function fillPriceChangeList(listEl, changes, emptyMessage) {
+    if (changes.length === 0) {
+        const item = document.createElement('li');
+        item.className = 'price-change-empty';
+        item.textContent = emptyMessage;
+        listEl.appendChild(item);
         return;
     }
     
-    cardsToRender.forEach((card, index) => {
-        const cardId = card.id || `card-${index}`;
-        
-        // Get collection state for current set
-        if (!collectionState[currentSet]) {
-            collectionState[currentSet] = {};
-        }
-        
-        const cardState = collectionState[currentSet][cardId] || { collected: false, foil: false };
-        const isCollected = cardState.collected === true;
-        const isFoil = cardState.foil === true;
-        const collectorNumber = card.collector_number || index + 1;
-        
-        // Handle both regular cards and double-faced cards
-        // For placeholder cards, use a blank placeholder image
-        let imageUrl = '';
-        const isPlaceholder = card.is_placeholder === true;
+    changes.forEach(({ card, cardKey, finish, before, after, change }) => {
+        const item = document.createElement('li');
+        item.className = `price-change ${change > 0 ? 'up' : 'down'}`;
         
-        if (isPlaceholder) {
-            // Create a blank placeholder image for cards not in Scryfall
-            imageUrl = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="200" height="280"%3E%3Crect fill="%23222" width="200" height="280"/%3E%3Crect fill="%23333" x="10" y="10" width="180" height="260" rx="5"/%3C/svg%3E';
-        } else if (card.image_uris) {
-            imageUrl = card.image_uris.normal || card.image_uris.large || '';
-        } else if (card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris) {
-            // Use the front face of double-faced cards
-            imageUrl = card.card_faces[0].image_uris.normal || card.card_faces[0].image_uris.large || '';
-        }
-        
-        const cardElement = document.createElement('div');
-        cardElement.className = `card-item ${isCollected ? 'collected' : ''} ${isPlaceholder ? 'placeholder' : ''}`;
-        cardElement.dataset.cardId = cardId;
-        // Only make placeholder cards non-selectable if they have empty names (blank placeholders)
-        if (isPlaceholder && (!card.name || card.name.trim() === '')) {
-            cardElement.classList.add('non-selectable');
-            cardElement.style.cursor = 'default';
-            // Don't add click handler for blank placeholder cards
-        } else {
-            cardElement.addEventListener('click', () => toggleCard(cardId));
-        }
-        
-        const img = document.createElement('img');
-        img.src = imageUrl;
-        img.alt = card.name || `Card ${collectorNumber}`;
-        img.className = 'card-image';
-        img.loading = 'lazy';
-        
-        // Handle image load errors (only for non-placeholder cards)
-        if (!isPlaceholder) {
-            img.onerror = function() {
-                this.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="200" height="280"%3E%3Crect fill="%23333" width="200" height="280"/%3E%3Ctext fill="%23fff" x="50%25" y="50%25" text-anchor="middle" dy=".3em"%3EImage not available%3C/text%3E%3C/svg%3E';
-            };
-        }
-        
-        // Get card name (handle double-faced cards)
-        const cardName = card.name || (card.card_faces && card.card_faces[0] && card.card_faces[0].name) || `Card ${collectorNumber}`;
-        
-        const infoLabel = document.createElement('div');
-        infoLabel.className = 'card-info';
-        
-        const numberLabel = document.createElement('span');
-        numberLabel.className = 'card-number';
-        numberLabel.textContent = `#${collectorNumber}`;
-        
-        const nameLabel = document.createElement('span');
-        nameLabel.className = 'card-name';
-        nameLabel.textContent = cardName;
-        
-        infoLabel.appendChild(numberLabel);
-        infoLabel.appendChild(nameLabel);
-        
-        cardElement.appendChild(img);
-        cardElement.appendChild(infoLabel);
-        
-        // Add foil star icon for collected cards
-        if (isCollected) {
-            const foilStar = createFoilStar(cardId, isFoil);
-            cardElement.appendChild(foilStar);
-        }
+        const percent = before > 0 ? ` (${change > 0 ? '+' : ''}${Math.round((change / before) * 100)}%)` : '';
+        const finishLabel = finish === 'nonfoil' ? '' : ` (${FINISH_LABELS[finish]})`;
+        item.textContent = `#${card.collector_number} ${getCardName(card)}${finishLabel}: ${formatPrice(before)} → ${formatPrice(after)}${percent}`;
         
-        container.appendChild(cardElement);
+        item.addEventListener('click', () => {
+            const cardSelect = document.getElementById('history-card-select');
+            if (cardSelect) {
+                cardSelect.value = cardKey;
+                renderCardPriceChart(cardKey);
+            }
+        });
+        listEl.appendChild(item);
     });
 }
 
-// Create foil star icon (9-pointed star)
-function createFoilStar(cardId, isFoil) {
-    const starContainer = document.createElement('div');
-    starContainer.className = 'foil-star-container';
-    starContainer.dataset.cardId = cardId;
+// Draw a simple SVG line chart; series are { label, color, points: [{ time, value }] }
+function renderLineChart(container, series, emptyMessage) {
+    container.innerHTML = '';
     
-    const starSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    starSvg.setAttribute('viewBox', '0 0 100 100');
-    starSvg.setAttribute('class', `foil-star ${isFoil ? 'foil' : ''}`);
+    const drawn = series.filter(line => line.points.length > 0);
+    if (drawn.length === 0) {
+        const message = document.createElement('p');
+        message.className = 'history-empty';
+        message.textContent = emptyMessage;
+        container.appendChild(message);
+        return;
+    }
     
-    // Create 9-pointed star path
-    const centerX = 50;
-    const centerY = 50;
-    const outerRadius = 40;
-    const innerRadius = 20;
-    const points = 9;
-    let pathData = '';
+    const width = 320;
+    const height = 160;
+    const padding = { top: 10, right: 10, bottom: 20, left: 56 };
     
-    for (let i = 0; i < points * 2; i++) {
-        const angle = (i * Math.PI) / points - Math.PI / 2;
-        const radius = i % 2 === 0 ? outerRadius : innerRadius;
-        const x = centerX + radius * Math.cos(angle);
-        const y = centerY + radius * Math.sin(angle);
-        pathData += (i === 0 ? 'M' : 'L') + x + ' ' + y + ' ';
+    const allPoints = drawn.flatMap(line => line.points);
+    const minTime = Math.min(...allPoints.map(point => point.time));
+    const maxTime = Math.max(...allPoints.map(point => point.time));
+    let minValue = Math.min(...allPoints.map(point => point.value));
+    let maxValue = Math.max(...allPoints.map(point => point.value));
+    if (minValue === maxValue) {
+        minValue = Math.max(0, minValue - 1);
+        maxValue += 1;
     }
-    pathData += 'Z';
     
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.setAttribute('d', pathData);
-    path.setAttribute('fill', isFoil ? '#C0C0C0' : 'none');
-    path.setAttribute('stroke', isFoil ? '#C0C0C0' : '#ffffff');
-    path.setAttribute('stroke-width', '2.5');
-    path.setAttribute('stroke-linejoin', 'round');
-    path.setAttribute('stroke-linecap', 'round');
+    const x = time => maxTime === minTime
+        ? padding.left + (width - padding.left - padding.right) / 2
+        : padding.left + ((time - minTime) / (maxTime - minTime)) * (width - padding.left - padding.right);
+    const y = value => padding.top + (1 - (value - minValue) / (maxValue - minValue)) * (height - padding.top - padding.bottom);
     
-    starSvg.appendChild(path);
-    starContainer.appendChild(starSvg);
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('class', 'line-chart');
     
-    // Prevent card toggle when clicking star
-    starContainer.addEventListener('click', (e) => {
-        e.stopPropagation();
-        toggleFoil(cardId);
+    // Axis labels: value range on the left, first and last date along the bottom
+    const addLabel = (text, labelX, labelY, anchor) => {
+        const label = document.createElementNS(svgNs, 'text');
+        label.setAttribute('x', labelX);
+        label.setAttribute('y', labelY);
+        label.setAttribute('text-anchor', anchor);
+        label.setAttribute('class', 'chart-label');
+        label.textContent = text;
+        svg.appendChild(label);
+    };
+    const formatDate = time => new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    addLabel(formatPrice(maxValue), padding.left - 4, padding.top + 4, 'end');
+    addLabel(formatPrice(minValue), padding.left - 4, height - padding.bottom, 'end');
+    addLabel(formatDate(minTime), padding.left, height - 4, 'start');
+    if (maxTime !== minTime) {
+        addLabel(formatDate(maxTime), width - padding.right, height - 4, 'end');
+    }
+    
+    const axis = document.createElementNS(svgNs, 'path');
+    axis.setAttribute('d', `M${padding.left},${padding.top} V${height - padding.bottom} H${width - padding.right}`);
+    axis.setAttribute('class', 'chart-axis');
+    svg.appendChild(axis);
+    
+    drawn.forEach(line => {
+        const polyline = document.createElementNS(svgNs, 'polyline');
+        polyline.setAttribute('points', line.points.map(point => `${x(point.time)},${y(point.value)}`).join(' '));
+        polyline.setAttribute('fill', 'none');
+        polyline.setAttribute('stroke', line.color);
+        polyline.setAttribute('stroke-width', '2');
+        svg.appendChild(polyline);
+        
+        line.points.forEach(point => {
+            const dot = document.createElementNS(svgNs, 'circle');
+            dot.setAttribute('cx', x(point.time));
+            dot.setAttribute('cy', y(point.value));
+            dot.setAttribute('r', '2.5');
+            dot.setAttribute('fill', line.color);
+            
+            const title = document.createElementNS(svgNs, 'title');
+            title.textContent = `${line.label}, ${new Date(point.time).toLocaleDateString(undefined, { dateStyle: 'medium' })}: ${formatPrice(point.value)}`;
+            dot.appendChild(title);
+            svg.appendChild(dot);
+        });
     });
     
-    return starContainer;
+    container.appendChild(svg);
+    
+    // Legend
+    const legend = document.createElement('div');
+    legend.className = 'chart-legend';
+    drawn.forEach(line => {
+        const entry = document.createElement('span');
+        entry.className = 'chart-legend-entry';
+        entry.style.setProperty('--line-color', line.color);
+        entry.textContent = line.label;
+        legend.appendChild(entry);
+    });
+    container.appendChild(legend);
 }
 
-// Toggle card collection state
-function toggleCard(cardId) {
-    // Get collection state for current set
-    if (!collectionState[currentSet]) {
-        collectionState[currentSet] = {};
-    }
+// Set up the timeline view and the "Source" select for cards added from the grid
+function setupTimeline() {
+    const timelineBtn = document.getElementById('timeline-btn');
+    const timelineModal = document.getElementById('timeline-modal');
+    const closeTimelineBtn = document.getElementById('close-timeline-btn');
+    const sourceSelect = document.getElementById('source-select');
     
-    const currentState = collectionState[currentSet][cardId] || { collected: false, foil: false };
-    
-    // If card is currently collected, ask for confirmation before deselecting
-    if (currentState.collected) {
-        const cardElement = document.querySelector(`[data-card-id="${cardId}"]`);
-        const cardName = cardElement ? cardElement.querySelector('.card-name')?.textContent || 'this card' : 'this card';
-        
-        if (!confirm(`Are you sure you want to remove "${cardName}" from your collection?`)) {
-            // User cancelled, don't deselect
-            return;
+    if (sourceSelect) {
+        Object.entries(ACQUISITION_SOURCES).forEach(([key, label]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            sourceSelect.appendChild(option);
+        });
+        if (!(preferences.acquisitionSource in ACQUISITION_SOURCES)) {
+            preferences.acquisitionSource = DEFAULT_PREFERENCES.acquisitionSource;
         }
+        sourceSelect.value = preferences.acquisitionSource;
+        
+        sourceSelect.addEventListener('change', () => {
+            preferences.acquisitionSource = sourceSelect.value;
+            savePreferences();
+        });
     }
     
-    // Proceed with toggle
-    collectionState[currentSet][cardId] = {
-        collected: !currentState.collected,
-        foil: currentState.collected ? currentState.foil : false // Reset foil if uncollecting
-    };
-    saveCollectionState();
+    if (!timelineBtn || !timelineModal) return;
     
-    // Update UI
-    const cardElement = document.querySelector(`[data-card-id="${cardId}"]`);
-    if (cardElement) {
-        if (collectionState[currentSet][cardId].collected) {
-            cardElement.classList.add('collected');
-            // Add foil star if not already present
-            if (!cardElement.querySelector('.foil-star-container')) {
-                const foilStar = createFoilStar(cardId, collectionState[currentSet][cardId].foil);
-                cardElement.appendChild(foilStar);
-            }
-        } else {
-            cardElement.classList.remove('collected');
-            // Remove foil star
-            const starContainer = cardElement.querySelector('.foil-star-container');
-            if (starContainer) {
-                starContainer.remove();
-            }
-        }
+    timelineBtn.addEventListener('click', () => {
+        timelineModal.classList.remove('hidden');
+        renderTimeline();
+    });
+    
+    if (closeTimelineBtn) {
+        closeTimelineBtn.addEventListener('click', () => {
+            timelineModal.classList.add('hidden');
+        });
     }
     
-    updateStats();
+    // Close when clicking outside
+    timelineModal.addEventListener('click', (e) => {
+        if (e.target === timelineModal) {
+            timelineModal.classList.add('hidden');
+        }
+    });
 }
 
-// Toggle foil state
-function toggleFoil(cardId) {
-    // Get collection state for current set
-    if (!collectionState[currentSet]) {
-        collectionState[currentSet] = {};
-    }
+// Every logged addition and removal, plus the owned finishes the log doesn't cover (imported or
+// added before the log existed) at their acquisition date, or with at null for cards added before
+// acquisition dates were recorded. Newest first, undated last.
+async function getTimelineEntries() {
+    const entries = activityLog.map(event => ({
+        setCode: event.setCode,
+        cardKey: event.cardKey,
+        finish: event.finish,
+        at: event.at,
+        source: event.source || '',
+        removed: Boolean(event.removed)
+    }));
+    const logged = new Set(activityLog.map(event => `${event.setCode}/${event.cardKey}/${event.finish}`));
     
-    const currentState = collectionState[currentSet][cardId] || { collected: false, foil: false };
-    if (!currentState.collected) return; // Can't set foil if not collected
+    for (const setCode of Object.keys(collectionState)) {
+        const setState = collectionState[setCode];
+        for (const [cardKey, cardState] of Object.entries(setState)) {
+            FINISHES.forEach(finish => {
+                if (getQuantity(cardState, finish) === 0 || logged.has(`${setCode}/${cardKey}/${finish}`)) return;
+                const acquired = (cardState.acquired && cardState.acquired[finish]) || {};
+                entries.push({ setCode, cardKey, finish, at: acquired.at || null, source: acquired.source || '', removed: false });
+            });
+        }
+    }
     
-    collectionState[currentSet][cardId] = {
-        collected: currentState.collected,
-        foil: !currentState.foil
-    };
-    saveCollectionState();
+    const setCodes = new Set(entries.map(entry => entry.setCode));
+    for (const setCode of setCodes) {
+        const setCards = await getSavedSetCards(setCode);
+        entries.filter(entry => entry.setCode === setCode).forEach(entry => {
+            const card = setCards.find(setCard => getCardKey(setCard) === entry.cardKey);
+            entry.name = (card && getCardName(card)) || `Card ${entry.cardKey}`;
+        });
+    }
     
-    // Update UI
-    const cardElement = document.querySelector(`[data-card-id="${cardId}"]`);
-    if (cardElement) {
-        const starSvg = cardElement.querySelector('.foil-star');
-        if (starSvg) {
-            const path = starSvg.querySelector('path');
-            if (collectionState[currentSet][cardId].foil) {
-                starSvg.classList.add('foil');
-                if (path) {
-                    path.setAttribute('fill', '#C0C0C0');
-                    path.setAttribute('stroke', '#C0C0C0');
-                }
-            } else {
-                starSvg.classList.remove('foil');
-                if (path) {
-                    path.setAttribute('fill', 'none');
-                    path.setAttribute('stroke', '#ffffff');
-                }
-            }
-        }
+    return entries.sort((a, b) => compareSortValues(a.at, b.at, true));
+}
+
+// Heading for a day of the timeline: the weekday within the last week, the full date before that
+function formatTimelineDay(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    const today = getDateKey(Date.now());
+    if (dateKey === today) {
+        return 'Today';
+    }
+    if (dateKey === getDateKey(Date.now() - 24 * 60 * 60 * 1000)) {
+        return 'Yesterday';
+    }
+    if (Date.now() - date.getTime() < 7 * 24 * 60 * 60 * 1000) {
+        return date.toLocaleDateString(undefined, { weekday: 'long' });
     }
+    return date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'short', day: 'numeric' });
 }
 
-// Update collection statistics
-function updateStats() {
-    // Use the expected total from set config, not the actual loaded count
-    const setConfig = SETS[currentSet];
-    const expectedTotal = setConfig ? setConfig.totalCards : cards.length;
-    
-    // Get collected count for current set
-    if (!collectionState[currentSet]) {
-        collectionState[currentSet] = {};
+// Summary of a day's activity, e.g. "+14 cards, 2 foils, 1 removed (Pack 12, Trade 2)"
+function summarizeTimelineDay(entries) {
+    const added = entries.filter(entry => !entry.removed);
+    const cardCount = new Set(added.map(entry => `${entry.setCode}/${entry.cardKey}`)).size;
+    const foilCount = added.filter(entry => entry.finish !== 'nonfoil').length;
+    const removedCount = entries.length - added.length;
+    const parts = [];
+    if (cardCount > 0) {
+        parts.push(`+${cardCount} ${cardCount === 1 ? 'card' : 'cards'}`);
+    }
+    if (foilCount > 0) {
+        parts.push(`${foilCount} ${foilCount === 1 ? 'foil' : 'foils'}`);
     }
+    if (removedCount > 0) {
+        parts.push(`${removedCount} removed`);
+    }
+    let summary = parts.join(', ');
     
-    const collected = Object.values(collectionState[currentSet]).filter(v => 
-        v && (v === true || (typeof v === 'object' && v.collected === true))
-    ).length;
+    const sources = {};
+    added.filter(entry => entry.source).forEach(entry => {
+        sources[entry.source] = (sources[entry.source] || 0) + 1;
+    });
+    const sourceCounts = Object.entries(sources).map(([source, count]) => `${ACQUISITION_SOURCES[source] || source} ${count}`);
+    if (sourceCounts.length > 0) {
+        summary += ` (${sourceCounts.join(', ')})`;
+    }
+    return summary;
+}
+
+// Show the cards added and removed per day, newest first, with undated cards under "Date unknown"
+async function renderTimeline() {
+    const listEl = document.getElementById('timeline-list');
+    if (!listEl) return;
     
-    const totalEl = document.getElementById('total-count');
-    const collectedEl = document.getElementById('collected-count');
+    const entries = await getTimelineEntries();
+    listEl.innerHTML = '';
     
-    if (totalEl) {
-        totalEl.textContent = expectedTotal;
-    }
-    if (collectedEl) {
-        collectedEl.textContent = collected;
+    if (entries.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'history-empty';
+        empty.textContent = 'No cards collected yet.';
+        listEl.appendChild(empty);
+        return;
     }
     
-    console.log(`Stats updated: ${collected}/${expectedTotal} collected for ${currentSet.toUpperCase()} (${cards.length} cards loaded)`);
+    const days = new Map();
+    entries.forEach(entry => {
+        const dayKey = entry.at ? getDateKey(entry.at) : null;
+        if (!days.has(dayKey)) {
+            days.set(dayKey, []);
+        }
+        days.get(dayKey).push(entry);
+    });
+    
+    days.forEach((dayEntries, dayKey) => {
+        const title = document.createElement('p');
+        title.className = 'import-preview-title';
+        title.textContent = `${dayKey ? formatTimelineDay(dayKey) : 'Date unknown'}: ${summarizeTimelineDay(dayEntries)}`;
+        listEl.appendChild(title);
+        
+        const list = document.createElement('ul');
+        list.className = 'timeline-rows';
+        dayEntries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'timeline-row';
+            
+            const finishLabel = entry.finish === 'nonfoil' ? '' : ` (${FINISH_LABELS[entry.finish]})`;
+            const name = document.createElement('span');
+            name.textContent = `${entry.removed ? '−' : '+'} ${entry.setCode.toUpperCase()} #${entry.cardKey} ${entry.name}${finishLabel}`;
+            item.appendChild(name);
+            
+            const source = document.createElement('span');
+            source.className = 'timeline-source';
+            source.textContent = entry.source ? ACQUISITION_SOURCES[entry.source] || entry.source : '';
+            item.appendChild(source);
+            
+            list.appendChild(item);
+        });
+        listEl.appendChild(list);
+    });
 }
 
 // Display current version
@@ -1420,7 +5513,12 @@ async function checkForUpdates(silent = false) {
 
 // Show update status in settings
 function showUpdateStatus(message, type = 'info') {
-    const statusEl = document.getElementById('update-status');
+    showStatusMessage('update-status', message, type);
+}
+
+// Show a temporary status message in a settings status element
+function showStatusMessage(statusId, message, type = 'info') {
+    const statusEl = document.getElementById(statusId);
     if (statusEl) {
         statusEl.textContent = message;
         statusEl.className = 'update-status ' + type;
@@ -1467,11 +5565,13 @@ function showUpdateNotification(versionInfo) {
 
 // Perform update
 function performUpdate() {
-    // Clear caches to get fresh content
+    // Clear caches to get fresh content (card images don't change between versions)
     if ('caches' in window) {
         caches.keys().then(cacheNames => {
             return Promise.all(
-                cacheNames.map(cacheName => caches.delete(cacheName))
+                cacheNames
+                    .filter(cacheName => cacheName !== IMAGE_CACHE_NAME)
+                    .map(cacheName => caches.delete(cacheName))
             );
         }).then(() => {
             // Unregister and re-register service worker
@@ -0,0 +1,196 @@
+// CSV helpers and column presets for other collection tools
+
+// Column presets for each target tool. Each column maps an export row
+// ({ name, setCode, setName, collectorNumber, finish, quantity, scryfallId, price, currency }) to a cell.
+const CSV_PRESETS = {
+    generic: {
+        label: 'Magic Tracker (all fields)',
+        columns: [
+            { header: 'Name', value: row => row.name },
+            { header: 'Set Code', value: row => row.setCode },
+            { header: 'Collector Number', value: row => row.collectorNumber },
+            { header: 'Finish', value: row => row.finish },
+            { header: 'Quantity', value: row => row.quantity },
+            { header: 'Scryfall ID', value: row => row.scryfallId },
+            { header: 'Price', value: row => row.price === undefined ? '' : row.price.toFixed(2) },
+            { header: 'Currency', value: row => row.price === undefined ? '' : row.currency }
+        ]
+    },
+    moxfield: {
+        label: 'Moxfield',
+        columns: [
+            { header: 'Count', value: row => row.quantity },
+            { header: 'Name', value: row => row.name },
+            { header: 'Edition', value: row => row.setCode },
+            { header: 'Collector Number', value: row => row.collectorNumber },
+            { header: 'Foil', value: row => row.finish === 'nonfoil' ? '' : row.finish },
+            { header: 'Condition', value: () => 'Near Mint' },
+            { header: 'Language', value: () => 'English' }
+        ]
+    },
+    manabox: {
+        label: 'ManaBox',
+        columns: [
+            { header: 'Name', value: row => row.name },
+            { header: 'Set code', value: row => row.setCode.toUpperCase() },
+            { header: 'Set name', value: row => row.setName },
+            { header: 'Collector number', value: row => row.collectorNumber },
+            { header: 'Foil', value: row => row.finish === 'nonfoil' ? 'normal' : row.finish },
+            { header: 'Quantity', value: row => row.quantity },
+            { header: 'Scryfall ID', value: row => row.scryfallId },
+            { header: 'Condition', value: () => 'near_mint' },
+            { header: 'Language', value: () => 'en' }
+        ]
+    },
+    deckbox: {
+        label: 'Deckbox',
+        columns: [
+            { header: 'Count', value: row => row.quantity },
+            { header: 'Name', value: row => row.name },
+            { header: 'Edition', value: row => row.setName },
+            { header: 'Card Number', value: row => row.collectorNumber },
+            { header: 'Condition', value: () => 'Near Mint' },
+            { header: 'Language', value: () => 'English' },
+            { header: 'Foil', value: row => row.finish === 'nonfoil' ? '' : 'foil' }
+        ]
+    },
+    tcgplayer: {
+        label: 'TCGplayer',
+        columns: [
+            { header: 'Quantity', value: row => row.quantity },
+            { header: 'Name', value: row => row.name },
+            { header: 'Set', value: row => row.setName },
+            { header: 'Card Number', value: row => row.collectorNumber },
+            { header: 'Set Code', value: row => row.setCode.toUpperCase() },
+            { header: 'Printing', value: row => row.finish === 'nonfoil' ? 'Normal' : 'Foil' },
+            { header: 'Condition', value: () => 'Near Mint' },
+            { header: 'Language', value: () => 'English' }
+        ]
+    }
+};
+
+// Quote a CSV cell if it contains a delimiter, quote, newline or edge whitespace
+function escapeCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (/[",\r\n]/.test(text) || text !== text.trim()) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+// Build CSV text for export rows using a preset's columns
+function buildCsv(rows, presetKey) {
+    const preset = CSV_PRESETS[presetKey] || CSV_PRESETS.generic;
+    const lines = [preset.columns.map(column => escapeCsvValue(column.header)).join(',')];
+    rows.forEach(row => {
+        lines.push(preset.columns.map(column => escapeCsvValue(column.value(row))).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Header names other tools use for each field we read on import (compared lowercased)
+const CSV_IMPORT_COLUMNS = {
+    name: ['name', 'card name', 'card'],
+    quantity: ['quantity', 'count', 'qty', 'amount'],
+    scryfallId: ['scryfall id', 'scryfall_id', 'scryfallid'],
+    setCode: ['set code', 'set_code', 'setcode', 'edition code', 'edition'],
+    setName: ['set name', 'set_name', 'set', 'edition'],
+    collectorNumber: ['collector number', 'collector_number', 'card number', 'number', 'cn'],
+    finish: ['finish', 'foil', 'printing']
+};
+
+// Parse CSV text into an array of rows (arrays of cells), handling quoted fields
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, ''); // Strip byte order mark
+    
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    
+    // Drop blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Parse CSV text into import records ({ line, name, quantity, scryfallId, setCode, setName, collectorNumber, finish })
+function readCsvImportRecords(text) {
+    const rows = parseCsv(text);
+    if (rows.length < 2) {
+        throw new Error('The file has no data rows.');
+    }
+    
+    const headers = rows[0].map(header => header.trim().toLowerCase());
+    const columnIndex = {};
+    Object.entries(CSV_IMPORT_COLUMNS).forEach(([field, aliases]) => {
+        const index = aliases.map(alias => headers.indexOf(alias)).find(i => i !== -1);
+        if (index !== undefined) {
+            columnIndex[field] = index;
+        }
+    });
+    
+    if (columnIndex.name === undefined && columnIndex.scryfallId === undefined) {
+        throw new Error('Could not find a Name or Scryfall ID column.');
+    }
+    
+    const cell = (cells, field) => columnIndex[field] === undefined ? '' : (cells[columnIndex[field]] || '').trim();
+    
+    return rows.slice(1).map((cells, i) => {
+        const quantityText = cell(cells, 'quantity');
+        return {
+            line: i + 2, // 1-based, after the header row
+            name: cell(cells, 'name'),
+            quantity: quantityText === '' ? 1 : Number(quantityText),
+            scryfallId: cell(cells, 'scryfallId').toLowerCase(),
+            setCode: cell(cells, 'setCode').toLowerCase(),
+            setName: cell(cells, 'setName'),
+            collectorNumber: cell(cells, 'collectorNumber'),
+            finish: parseCsvFinish(cell(cells, 'finish'))
+        };
+    });
+}
+
+// Map the foil/finish/printing values other tools use to our finish names
+function parseCsvFinish(value) {
+    const text = value.toLowerCase();
+    if (text === '' || ['normal', 'nonfoil', 'non-foil', 'false', 'no', '0'].includes(text)) {
+        return 'nonfoil';
+    }
+    if (text.includes('etched')) {
+        return 'etched';
+    }
+    return 'foil';
+}
@@ -0,0 +1,176 @@
+// IndexedDB storage for data too large for localStorage (fetched card lists, image cache bookkeeping,
+// price history).
+// Also loaded by the service worker, so it must not touch the DOM or localStorage.
+const DB_NAME = 'magic-tracker';
+const DB_VERSION = 4;
+const CARD_SETS_STORE = 'cardSets'; // { setCode, cards, fetchedAt }
+const IMAGE_CACHE_STORE = 'imageCache'; // { url, size, lastUsed } for each cached card image
+const SETTINGS_STORE = 'settings'; // { key, value } for settings the service worker needs
+const PRICE_SNAPSHOTS_STORE = 'priceSnapshots'; // { setCode, date, takenAt, prices: { [cardKey]: { usd, usd_foil, ... } } }
+const VALUE_SNAPSHOTS_STORE = 'profileValueSnapshots'; // { profileId, setCode, date, takenAt, value: { usd, eur } } (collection value)
+const LEGACY_VALUE_SNAPSHOTS_STORE = 'valueSnapshots'; // Value snapshots from before profiles (no profileId)
+
+// Collection profile that owns data saved before there were profiles
+const DEFAULT_PROFILE_ID = 'default';
+
+// Runtime cache for card images (kept across app updates)
+const IMAGE_CACHE_NAME = 'magic-tracker-images';
+const IMAGE_CACHE_LIMIT_SETTING = 'imageCacheLimit';
+const DEFAULT_IMAGE_CACHE_LIMIT = 500 * 1024 * 1024; // 500 MB
+
+let dbPromise = null;
+
+// Open the database (creating stores on first use), reusing the connection
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(CARD_SETS_STORE)) {
+                    db.createObjectStore(CARD_SETS_STORE, { keyPath: 'setCode' });
+                }
+                if (!db.objectStoreNames.contains(IMAGE_CACHE_STORE)) {
+                    db.createObjectStore(IMAGE_CACHE_STORE, { keyPath: 'url' });
+                }
+                if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+                    db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+                }
+                // Snapshots are kept per set and day (date is "YYYY-MM-DD"), so keys sort by date
+                if (!db.objectStoreNames.contains(PRICE_SNAPSHOTS_STORE)) {
+                    db.createObjectStore(PRICE_SNAPSHOTS_STORE, { keyPath: ['setCode', 'date'] });
+                }
+                if (!db.objectStoreNames.contains(VALUE_SNAPSHOTS_STORE)) {
+                    db.createObjectStore(VALUE_SNAPSHOTS_STORE, { keyPath: ['profileId', 'setCode', 'date'] });
+                }
+                // Collection values recorded before profiles belong to the default profile
+                if (db.objectStoreNames.contains(LEGACY_VALUE_SNAPSHOTS_STORE)) {
+                    const transaction = request.transaction;
+                    const valueStore = transaction.objectStore(VALUE_SNAPSHOTS_STORE);
+                    transaction.objectStore(LEGACY_VALUE_SNAPSHOTS_STORE).openCursor().onsuccess = (event) => {
+                        const cursor = event.target.result;
+                        if (cursor) {
+                            valueStore.put({ ...cursor.value, profileId: DEFAULT_PROFILE_ID });
+                            cursor.continue();
+                        } else {
+                            db.deleteObjectStore(LEGACY_VALUE_SNAPSHOTS_STORE);
+                        }
+                    };
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer page or service worker upgrade the database
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+        
+        // Allow a retry if opening failed
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+}
+
+// Run requests against an object store and resolve once the transaction completes
+// (with the result of the request returned by makeRequest, if any)
+async function runStoreRequest(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Get the saved card list for a set ({ setCode, cards, fetchedAt }), or null if none
+async function getStoredCardSet(setCode) {
+    const stored = await runStoreRequest(CARD_SETS_STORE, 'readonly', store => store.get(setCode));
+    return stored || null;
+}
+
+// Save the card list for a set
+function storeCardSet(setCode, cards, fetchedAt = Date.now()) {
+    return runStoreRequest(CARD_SETS_STORE, 'readwrite', store => store.put({ setCode, cards, fetchedAt }));
+}
+
+// Get the bookkeeping entries for all cached card images
+function getImageCacheEntries() {
+    return runStoreRequest(IMAGE_CACHE_STORE, 'readonly', store => store.getAll());
+}
+
+// Get the bookkeeping entry for one cached card image, or null if none
+async function getImageCacheEntry(url) {
+    const entry = await runStoreRequest(IMAGE_CACHE_STORE, 'readonly', store => store.get(url));
+    return entry || null;
+}
+
+// Record a cached card image (or mark it as recently used)
+function putImageCacheEntry(url, size) {
+    return runStoreRequest(IMAGE_CACHE_STORE, 'readwrite', store => store.put({ url, size, lastUsed: Date.now() }));
+}
+
+// Remove the bookkeeping for evicted images
+function deleteImageCacheEntries(urls) {
+    return runStoreRequest(IMAGE_CACHE_STORE, 'readwrite', store => {
+        urls.forEach(url => store.delete(url));
+    });
+}
+
+// Remove all image bookkeeping
+function clearImageCacheEntries() {
+    return runStoreRequest(IMAGE_CACHE_STORE, 'readwrite', store => store.clear());
+}
+
+// Read a setting shared with the service worker
+async function getDbSetting(key, fallback) {
+    const record = await runStoreRequest(SETTINGS_STORE, 'readonly', store => store.get(key));
+    return record ? record.value : fallback;
+}
+
+// Save a setting shared with the service worker
+function putDbSetting(key, value) {
+    return runStoreRequest(SETTINGS_STORE, 'readwrite', store => store.put({ key, value }));
+}
+
+// Save a set's card prices and collection value for a day (replacing earlier snapshots of that day)
+function putPriceSnapshot(priceSnapshot, valueSnapshot) {
+    return Promise.all([
+        runStoreRequest(PRICE_SNAPSHOTS_STORE, 'readwrite', store => store.put(priceSnapshot)),
+        runStoreRequest(VALUE_SNAPSHOTS_STORE, 'readwrite', store => store.put(valueSnapshot))
+    ]);
+}
+
+// Get a set's card price snapshots, oldest first
+function getPriceSnapshots(setCode) {
+    const range = IDBKeyRange.bound([setCode, ''], [setCode, '\uffff']);
+    return runStoreRequest(PRICE_SNAPSHOTS_STORE, 'readonly', store => store.getAll(range));
+}
+
+// Get a profile's collection value snapshots of every set, ordered by set and then date
+function getValueSnapshots(profileId) {
+    return runStoreRequest(VALUE_SNAPSHOTS_STORE, 'readonly', store => store.getAll(getProfileKeyRange(profileId)));
+}
+
+// Delete a profile's collection value snapshots
+function deleteValueSnapshots(profileId) {
+    return runStoreRequest(VALUE_SNAPSHOTS_STORE, 'readwrite', store => store.delete(getProfileKeyRange(profileId)));
+}
+
+// Key range covering every [profileId, setCode, date] key of one profile
+function getProfileKeyRange(profileId) {
+    return IDBKeyRange.bound([profileId, '', ''], [profileId, '\uffff', '\uffff']);
+}
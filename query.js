@@ -0,0 +1,468 @@
+// Scryfall-style search queries (r:mythic, c:ur, t:creature, cmc>=4, -o:flying, "quoted phrases",
+// AND/OR and parentheses) evaluated locally against loaded card objects and their collection state.
+// parseCardQuery turns the query text into a matcher function; invalid queries throw an Error
+// whose message is shown to the user.
+
+const QUERY_RARITIES = ['common', 'uncommon', 'rare', 'mythic', 'special', 'bonus'];
+
+const QUERY_COLOR_NAMES = {
+    white: 'w',
+    blue: 'u',
+    black: 'b',
+    red: 'r',
+    green: 'g'
+};
+
+// is: keywords, each a test of (card, cardState)
+const QUERY_IS_KEYWORDS = {
+    borderless: card => card.border_color === 'borderless',
+    showcase: card => hasFrameEffect(card, 'showcase'),
+    extendedart: card => hasFrameEffect(card, 'extendedart'),
+    fullart: card => Boolean(card.full_art),
+    promo: card => Boolean(card.promo),
+    dfc: card => Array.isArray(card.card_faces) && card.card_faces.some(face => face.image_uris),
+    placeholder: card => Boolean(card.is_placeholder),
+    owned: (card, cardState) => getOwnedCount(cardState) > 0,
+    collected: (card, cardState) => getOwnedCount(cardState) > 0,
+    missing: (card, cardState) => getOwnedCount(cardState) === 0,
+    nonfoil: (card, cardState) => getOwnedCount(cardState, ['nonfoil']) > 0,
+    foil: (card, cardState) => getOwnedCount(cardState, ['foil', 'etched']) > 0,
+    etched: (card, cardState) => getOwnedCount(cardState, ['etched']) > 0,
+    wanted: (card, cardState) => Boolean(cardState && cardState.want)
+};
+
+// Keywords (and their aliases) mapped to the kind of comparison they perform
+const QUERY_KEYWORDS = {
+    name: { type: 'text', values: card => getFaceValues(card, 'name') },
+    n: 'name',
+    type: { type: 'text', values: card => getFaceValues(card, 'type_line') },
+    t: 'type',
+    oracle: { type: 'text', values: card => getFaceValues(card, 'oracle_text') },
+    o: 'oracle',
+    artist: { type: 'text', values: card => getFaceValues(card, 'artist') },
+    a: 'artist',
+    border: { type: 'text', exact: true, values: card => [card.border_color] },
+    frame: { type: 'text', exact: true, values: card => [card.frame, ...(card.frame_effects || [])] },
+    set: { type: 'text', exact: true, values: card => [card.set] },
+    s: 'set',
+    e: 'set',
+    rarity: { type: 'rarity' },
+    r: 'rarity',
+    color: { type: 'color', defaultOperator: '>=', values: card => getCardColors(card, 'colors') },
+    c: 'color',
+    identity: { type: 'color', defaultOperator: '<=', values: card => card.color_identity },
+    id: 'identity',
+    cmc: { type: 'number', values: card => card.cmc },
+    mv: 'cmc',
+    manavalue: 'cmc',
+    pow: { type: 'number', values: card => getFaceValues(card, 'power').map(parseFloat) },
+    power: 'pow',
+    tou: { type: 'number', values: card => getFaceValues(card, 'toughness').map(parseFloat) },
+    toughness: 'tou',
+    usd: { type: 'number', values: card => card.prices && parseFloat(card.prices.usd) },
+    eur: { type: 'number', values: card => card.prices && parseFloat(card.prices.eur) },
+    cn: { type: 'collectorNumber' },
+    number: 'cn',
+    owned: { type: 'owned' },
+    is: { type: 'is' }
+};
+
+// Build an error for an invalid query
+function createQueryError(message) {
+    const error = new Error(message);
+    error.isQueryError = true;
+    return error;
+}
+
+// Parse a search query into a matcher (card, cardState) => boolean, or null when the query is empty
+function parseCardQuery(query) {
+    const tokens = tokenizeQuery(query);
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    const parser = { tokens, position: 0 };
+    const matcher = parseQueryOr(parser);
+    if (parser.position < tokens.length) {
+        // Only a stray closing parenthesis can stop the parser early
+        throw createQueryError('Unexpected ")" without a matching "("');
+    }
+    return matcher;
+}
+
+// Split a query into parentheses, AND/OR, negations, bare words and keyword terms
+function tokenizeQuery(query) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < query.length) {
+        const char = query[index];
+
+        if (/\s/.test(char)) {
+            index++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ kind: char });
+            index++;
+        } else if (char === '-' && index + 1 < query.length && !/\s/.test(query[index + 1])) {
+            tokens.push({ kind: 'not' });
+            index++;
+        } else if (char === '"') {
+            const [value, end] = readQuotedValue(query, index);
+            tokens.push({ kind: 'word', value });
+            index = end;
+        } else {
+            const match = /^([a-z]+)(!=|<=|>=|:|=|<|>)/i.exec(query.slice(index));
+            if (match) {
+                index += match[0].length;
+                let value;
+                if (query[index] === '"') {
+                    [value, index] = readQuotedValue(query, index);
+                } else {
+                    const end = findWordEnd(query, index);
+                    value = query.slice(index, end);
+                    index = end;
+                }
+                tokens.push({ kind: 'term', keyword: match[1].toLowerCase(), operator: match[2], value });
+            } else {
+                const end = findWordEnd(query, index);
+                const word = query.slice(index, end);
+                index = end;
+
+                const upper = word.toUpperCase();
+                if (upper === 'OR' || upper === 'AND') {
+                    tokens.push({ kind: upper.toLowerCase() });
+                } else {
+                    tokens.push({ kind: 'word', value: word });
+                }
+            }
+        }
+    }
+
+    return tokens;
+}
+
+// Read a "quoted value" starting at the opening quote; returns [value, index after closing quote]
+function readQuotedValue(query, start) {
+    const end = query.indexOf('"', start + 1);
+    if (end === -1) {
+        throw createQueryError('Missing closing quote');
+    }
+    return [query.slice(start + 1, end), end + 1];
+}
+
+// Index just past a bare word (words end at whitespace or a parenthesis)
+function findWordEnd(query, start) {
+    let end = start;
+    while (end < query.length && !/[\s()]/.test(query[end])) {
+        end++;
+    }
+    return end;
+}
+
+// Parse terms joined by OR (lowest precedence)
+function parseQueryOr(parser) {
+    const matchers = [parseQueryAnd(parser)];
+
+    while (peekToken(parser) === 'or') {
+        parser.position++;
+        if (!startsQueryTerm(peekToken(parser))) {
+            throw createQueryError('OR needs a search term on both sides');
+        }
+        matchers.push(parseQueryAnd(parser));
+    }
+
+    if (matchers.length === 1) {
+        return matchers[0];
+    }
+    return (card, cardState) => matchers.some(matcher => matcher(card, cardState));
+}
+
+// Parse terms joined by AND (explicit, or implied by whitespace)
+function parseQueryAnd(parser) {
+    if (!startsQueryTerm(peekToken(parser))) {
+        const kind = peekToken(parser);
+        if (kind === 'or' || kind === 'and') {
+            throw createQueryError(`${kind.toUpperCase()} needs a search term on both sides`);
+        }
+        throw createQueryError(kind === ')' ? 'Unexpected ")"' : 'Incomplete query');
+    }
+
+    const matchers = [parseQueryUnary(parser)];
+    for (;;) {
+        let kind = peekToken(parser);
+        if (kind === 'and') {
+            parser.position++;
+            kind = peekToken(parser);
+            if (!startsQueryTerm(kind)) {
+                throw createQueryError('AND needs a search term on both sides');
+            }
+        }
+        if (!startsQueryTerm(kind)) {
+            break;
+        }
+        matchers.push(parseQueryUnary(parser));
+    }
+
+    if (matchers.length === 1) {
+        return matchers[0];
+    }
+    return (card, cardState) => matchers.every(matcher => matcher(card, cardState));
+}
+
+// Parse a negated term, a parenthesised group, or a single term
+function parseQueryUnary(parser) {
+    const token = parser.tokens[parser.position++];
+
+    if (token.kind === 'not') {
+        if (!startsQueryTerm(peekToken(parser))) {
+            throw createQueryError('"-" must be followed by a search term');
+        }
+        const matcher = parseQueryUnary(parser);
+        return (card, cardState) => !matcher(card, cardState);
+    }
+
+    if (token.kind === '(') {
+        const matcher = parseQueryOr(parser);
+        if (peekToken(parser) !== ')') {
+            throw createQueryError('Missing closing parenthesis');
+        }
+        parser.position++;
+        return matcher;
+    }
+
+    if (token.kind === 'word') {
+        return buildWordMatcher(token.value);
+    }
+    return buildTermMatcher(token);
+}
+
+// Kind of the next token, or null at the end of the query
+function peekToken(parser) {
+    const token = parser.tokens[parser.position];
+    return token ? token.kind : null;
+}
+
+// Whether a token kind can begin a search term
+function startsQueryTerm(kind) {
+    return kind === 'word' || kind === 'term' || kind === 'not' || kind === '(';
+}
+
+// Bare words and quoted phrases match the card name or collector number
+function buildWordMatcher(value) {
+    const needle = value.toLowerCase();
+    return card => getFaceValues(card, 'name').some(name => name.toLowerCase().includes(needle)) ||
+        String(card.collector_number || '').toLowerCase().includes(needle);
+}
+
+// Build the matcher for a keyword term such as r:mythic or cmc>=4
+function buildTermMatcher({ keyword, operator, value }) {
+    let definition = QUERY_KEYWORDS[keyword];
+    if (typeof definition === 'string') {
+        definition = QUERY_KEYWORDS[definition];
+    }
+    if (!definition) {
+        throw createQueryError(`Unknown keyword "${keyword}"`);
+    }
+    if (value === '') {
+        throw createQueryError(`"${keyword}${operator}" needs a value`);
+    }
+
+    const needle = value.toLowerCase();
+    switch (definition.type) {
+        case 'text':
+            return buildTextMatcher(keyword, operator, needle, definition);
+        case 'number':
+            return buildNumberMatcher(keyword, operator, needle, definition.values);
+        case 'rarity':
+            return buildRarityMatcher(keyword, operator, needle);
+        case 'color':
+            return buildColorMatcher(keyword, operator, needle, definition);
+        case 'collectorNumber':
+            return buildCollectorNumberMatcher(keyword, operator, needle);
+        case 'owned':
+            return buildOwnedMatcher(keyword, operator, needle);
+        case 'is':
+            return buildIsMatcher(keyword, operator, needle);
+    }
+}
+
+// Text keywords: ":" contains (or equals, for exact fields like set), "=" equals, "!=" differs
+function buildTextMatcher(keyword, operator, needle, { exact, values }) {
+    if (!['!=', ':', '='].includes(operator)) {
+        throw createQueryError(`"${keyword}" can only be used with ":", "=" or "!="`);
+    }
+
+    const matches = card => values(card).some(text => {
+        if (!text) return false;
+        const haystack = String(text).toLowerCase();
+        return operator === ':' && !exact ? haystack.includes(needle) : haystack === needle;
+    });
+    return operator === '!=' ? card => !matches(card) : matches;
+}
+
+// Numeric keywords compare every value of the card (e.g. each face's power)
+function buildNumberMatcher(keyword, operator, needle, values) {
+    const target = parseQueryNumber(keyword, needle);
+    return card => {
+        const cardValues = [].concat(values(card));
+        return cardValues.some(value => typeof value === 'number' && !isNaN(value) && compareQueryValues(value, operator, target));
+    };
+}
+
+// Rarity compares by rank, so r>=rare matches rare and mythic
+function buildRarityMatcher(keyword, operator, needle) {
+    const rarity = QUERY_RARITIES.find(name => name === needle || name[0] === needle);
+    if (!rarity) {
+        throw createQueryError(`Unknown rarity "${needle}" (use common, uncommon, rare, mythic, special or bonus)`);
+    }
+
+    const target = QUERY_RARITIES.indexOf(rarity);
+    return card => {
+        const rank = QUERY_RARITIES.indexOf(card.rarity);
+        return rank !== -1 && compareQueryValues(rank, operator, target);
+    };
+}
+
+// Colors compare as sets: c:ur means at least blue and red, id:ur means within blue and red.
+// "c" means colorless and "m" multicolored.
+function buildColorMatcher(keyword, operator, needle, { defaultOperator, values }) {
+    if (needle === 'c' || needle === 'colorless') {
+        return card => compareColorCount(values(card), operator, 0);
+    }
+    if (needle === 'm' || needle === 'multicolor') {
+        return card => compareColorCount(values(card), '>', 1);
+    }
+
+    const letters = QUERY_COLOR_NAMES[needle] || needle;
+    if (!/^[wubrg]+$/.test(letters)) {
+        throw createQueryError(`Unknown color "${needle}" (use letters from wubrg, c, m or a color name)`);
+    }
+
+    const target = new Set(letters.split(''));
+    const comparison = operator === ':' ? defaultOperator : operator;
+    return card => {
+        const colors = values(card);
+        return colors !== undefined && compareColorSets(new Set(colors.map(color => color.toLowerCase())), comparison, target);
+    };
+}
+
+// Collector numbers compare numerically for <, > etc. and exactly for ":" and "="
+function buildCollectorNumberMatcher(keyword, operator, needle) {
+    if ([':', '=', '!='].includes(operator)) {
+        return card => (String(card.collector_number || '').toLowerCase() === needle) !== (operator === '!=');
+    }
+
+    const target = parseQueryNumber(keyword, needle);
+    return card => {
+        const number = parseFloat(card.collector_number);
+        return !isNaN(number) && compareQueryValues(number, operator, target);
+    };
+}
+
+// owned:yes / owned:no, or compare the total number of copies (owned>=2)
+function buildOwnedMatcher(keyword, operator, needle) {
+    if (['yes', 'true', 'no', 'false'].includes(needle)) {
+        if (![':', '=', '!='].includes(operator)) {
+            throw createQueryError(`"${keyword}${operator}" needs a number`);
+        }
+        const wanted = (needle === 'yes' || needle === 'true') !== (operator === '!=');
+        return (card, cardState) => (getOwnedCount(cardState) > 0) === wanted;
+    }
+
+    const target = parseQueryNumber(keyword, needle);
+    return (card, cardState) => compareQueryValues(getOwnedCount(cardState), operator, target);
+}
+
+// is: keywords (see QUERY_IS_KEYWORDS)
+function buildIsMatcher(keyword, operator, needle) {
+    const test = QUERY_IS_KEYWORDS[needle];
+    if (![':', '='].includes(operator)) {
+        throw createQueryError(`"${keyword}" can only be used with ":"`);
+    }
+    if (!test) {
+        throw createQueryError(`Unknown "is:" value "${needle}" (try ${Object.keys(QUERY_IS_KEYWORDS).join(', ')})`);
+    }
+    return test;
+}
+
+// Parse a number in a query term
+function parseQueryNumber(keyword, value) {
+    const number = Number(value);
+    if (value === '' || isNaN(number)) {
+        throw createQueryError(`"${keyword}" needs a number, not "${value}"`);
+    }
+    return number;
+}
+
+// Compare two values with a query operator (":" means equal)
+function compareQueryValues(value, operator, target) {
+    switch (operator) {
+        case ':':
+        case '=': return value === target;
+        case '!=': return value !== target;
+        case '<': return value < target;
+        case '<=': return value <= target;
+        case '>': return value > target;
+        case '>=': return value >= target;
+    }
+    return false;
+}
+
+// Compare a card's number of colors (used for colorless and multicolored)
+function compareColorCount(colors, operator, target) {
+    return Array.isArray(colors) && compareQueryValues(colors.length, operator === ':' ? '=' : operator, target);
+}
+
+// Compare a card's colors with the queried colors as sets
+function compareColorSets(cardColors, operator, target) {
+    const containsTarget = [...target].every(color => cardColors.has(color));
+    const withinTarget = [...cardColors].every(color => target.has(color));
+
+    switch (operator) {
+        case '=': return containsTarget && withinTarget;
+        case '!=': return !(containsTarget && withinTarget);
+        case '>=': return containsTarget;
+        case '>': return containsTarget && cardColors.size > target.size;
+        case '<=': return withinTarget;
+        case '<': return withinTarget && cardColors.size < target.size;
+    }
+    return false;
+}
+
+// A field from the card and each of its faces (names, type lines, oracle text...)
+function getFaceValues(card, field) {
+    const values = [];
+    if (card[field] !== undefined && card[field] !== null) {
+        values.push(card[field]);
+    }
+    (card.card_faces || []).forEach(face => {
+        if (face[field] !== undefined && face[field] !== null && !values.includes(face[field])) {
+            values.push(face[field]);
+        }
+    });
+    return values;
+}
+
+// A card's colors, falling back to the union of its faces' colors (double-faced cards).
+// Undefined for cards without color data, such as placeholders.
+function getCardColors(card, field) {
+    if (Array.isArray(card[field])) {
+        return card[field];
+    }
+    const faceColors = (card.card_faces || []).filter(face => Array.isArray(face[field]));
+    if (faceColors.length === 0) {
+        return undefined;
+    }
+    return [...new Set(faceColors.flatMap(face => face[field]))];
+}
+
+// Whether the card's frame has a given effect (showcase, extendedart...)
+function hasFrameEffect(card, effect) {
+    return Array.isArray(card.frame_effects) && card.frame_effects.includes(effect);
+}
+
+// Copies owned in the given finishes (all finishes by default)
+function getOwnedCount(cardState, finishes) {
+    const quantities = (cardState && cardState.quantities) || {};
+    return (finishes || Object.keys(quantities)).reduce((sum, finish) => sum + (quantities[finish] || 0), 0);
+}
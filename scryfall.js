@@ -0,0 +1,129 @@
+// Scryfall API client: spaces requests out, retries with backoff, shares identical in-flight
+// requests and follows pagination. All Scryfall API calls should go through here.
+const SCRYFALL_API_BASE = 'https://api.scryfall.com';
+const SCRYFALL_REQUEST_INTERVAL = 100; // Scryfall asks for 50–100 ms between requests
+const SCRYFALL_PAGE_SIZE = 175; // Cards per page of search results
+const SCRYFALL_MAX_RETRIES = 3;
+const SCRYFALL_RETRY_DELAY = 1000; // Doubled on each retry unless Scryfall sends Retry-After
+
+let scryfallNextSlot = 0; // Earliest time the next request may start
+const scryfallInFlight = new Map(); // URL -> pending request promise
+
+// Wait until the next request may start so calls stay within Scryfall's rate guidance
+function waitForScryfallSlot() {
+    const now = Date.now();
+    const startAt = Math.max(now, scryfallNextSlot);
+    scryfallNextSlot = startAt + SCRYFALL_REQUEST_INTERVAL;
+    return new Promise(resolve => setTimeout(resolve, startAt - now));
+}
+
+// Build an error carrying the HTTP status (0 for network failures) and Scryfall's error code
+function createScryfallError(message, status, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code || null;
+    return error;
+}
+
+// GET a Scryfall URL (absolute or a path like "/sets/tla") and return the parsed JSON.
+// Identical requests made while one is pending share its result.
+function scryfallGet(url) {
+    const fullUrl = url.startsWith('http') ? url : `${SCRYFALL_API_BASE}${url}`;
+    if (scryfallInFlight.has(fullUrl)) {
+        return scryfallInFlight.get(fullUrl);
+    }
+
+    const request = scryfallRequest(fullUrl).finally(() => {
+        scryfallInFlight.delete(fullUrl);
+    });
+    scryfallInFlight.set(fullUrl, request);
+    return request;
+}
+
+// Perform a request, retrying rate-limited (429) and server error responses with backoff
+async function scryfallRequest(url) {
+    for (let attempt = 0; ; attempt++) {
+        await waitForScryfallSlot();
+
+        let response;
+        try {
+            response = await fetch(url, { headers: { Accept: 'application/json' } });
+        } catch (err) {
+            // Not retried: when offline every request fails the same way
+            throw createScryfallError(`Network error requesting ${url}`, 0);
+        }
+
+        if (response.ok) {
+            return response.json();
+        }
+
+        const retryable = response.status === 429 || response.status >= 500;
+        if (retryable && attempt < SCRYFALL_MAX_RETRIES) {
+            const retryAfter = Number(response.headers && response.headers.get('Retry-After'));
+            const delay = retryAfter > 0 ? retryAfter * 1000 : SCRYFALL_RETRY_DELAY * 2 ** attempt;
+            console.log(`Scryfall returned ${response.status}, retrying in ${delay} ms...`);
+
+            // Hold back every other request too, not just this one
+            scryfallNextSlot = Math.max(scryfallNextSlot, Date.now() + delay);
+            continue;
+        }
+
+        const body = await response.json().catch(() => ({}));
+        throw createScryfallError(body.details || `Scryfall API error: ${response.status}`, response.status, body.code);
+    }
+}
+
+// Fetch every page of a list endpoint and return all items.
+// onPage receives { page, totalPages, count, totalCount } after each page.
+async function scryfallGetAllPages(url, onPage) {
+    const items = [];
+    let nextUrl = url;
+    let page = 0;
+
+    while (nextUrl) {
+        const data = await scryfallGet(nextUrl);
+        page++;
+        items.push(...(data.data || []));
+
+        const totalPages = data.total_cards
+            ? Math.max(page, Math.ceil(data.total_cards / SCRYFALL_PAGE_SIZE))
+            : page + (data.has_more ? 1 : 0);
+        if (onPage) {
+            onPage({ page, totalPages, count: items.length, totalCount: data.total_cards || items.length });
+        }
+
+        nextUrl = data.has_more ? data.next_page : null;
+    }
+
+    return items;
+}
+
+// Search cards with Scryfall query syntax, returning every page of results ([] when nothing matches)
+async function scryfallSearch(query, { unique, onPage } = {}) {
+    const params = new URLSearchParams({ q: query });
+    if (unique) {
+        params.set('unique', unique);
+    }
+
+    try {
+        return await scryfallGetAllPages(`${SCRYFALL_API_BASE}/cards/search?${params}`, onPage);
+    } catch (error) {
+        // Scryfall answers 404 when a search matches no cards
+        if (error.status === 404) {
+            return [];
+        }
+        throw error;
+    }
+}
+
+// Get a set's details (name, card_count, parent_set_code...), or null if Scryfall doesn't know it
+async function scryfallGetSet(setCode) {
+    try {
+        return await scryfallGet(`/sets/${encodeURIComponent(setCode)}`);
+    } catch (error) {
+        if (error.status === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
@@ -1,16 +1,26 @@
 // Cache version - update this when releasing a new version
-const CACHE_VERSION = '1.4.0';
+const CACHE_VERSION = '1.9.0';
 const CACHE_NAME = `magic-tracker-v${CACHE_VERSION}`;
 const urlsToCache = [
   './',
   './index.html',
   './styles.css',
+  './db.js',
+  './scryfall.js',
+  './csv.js',
+  './query.js',
   './app.js',
   './manifest.json',
   './version.js',
   './version.json'
 ];
 
+// Hosts serving Scryfall card images (cached at runtime in IMAGE_CACHE_NAME)
+const IMAGE_HOSTS = ['cards.scryfall.io', 'c1.scryfall.com'];
+
+// Shared IndexedDB helpers (image cache bookkeeping and size limit)
+importScripts('db.js');
+
 // Install event - cache resources
 self.addEventListener('install', (event) => {
   event.waitUntil(
@@ -21,6 +31,12 @@ self.addEventListener('install', (event) => {
 
 // Fetch event - serve from cache, fallback to network
 self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method === 'GET' && IMAGE_HOSTS.includes(url.hostname)) {
+    event.respondWith(handleImageRequest(event));
+    return;
+  }
+
   event.respondWith(
     caches.match(event.request)
       .then((response) => {
@@ -30,13 +46,89 @@ self.addEventListener('fetch', (event) => {
   );
 });
 
+// Serve card images from the image cache, storing new ones as they are downloaded
+async function handleImageRequest(event) {
+  const url = event.request.url;
+  const cache = await caches.open(IMAGE_CACHE_NAME);
+  const cached = await cache.match(url);
+
+  if (cached) {
+    // Mark as recently used for LRU eviction
+    event.waitUntil(touchImageEntry(url, cached));
+    return cached;
+  }
+
+  let response;
+  try {
+    // Request with CORS so the response size can be read for the cache limit
+    response = await fetch(url, { mode: 'cors' });
+  } catch (err) {
+    return fetch(event.request);
+  }
+
+  if (response.ok) {
+    event.waitUntil(storeImage(cache, url, response.clone()));
+  }
+  return response;
+}
+
+// Add an image to the cache and record its size, then evict if over the limit
+async function storeImage(cache, url, response) {
+  try {
+    const blob = await response.clone().blob();
+    await cache.put(url, response);
+    await putImageCacheEntry(url, blob.size);
+    await enforceImageCacheLimit();
+  } catch (err) {
+    console.log('Failed to cache image:', url, err);
+  }
+}
+
+// Update an image's last-used time (re-measuring it if it has no bookkeeping entry)
+async function touchImageEntry(url, cached) {
+  try {
+    const entry = await getImageCacheEntry(url);
+    const size = entry ? entry.size : (await cached.clone().blob()).size;
+    await putImageCacheEntry(url, size);
+  } catch (err) {
+    console.log('Failed to update image cache entry:', url, err);
+  }
+}
+
+// Evict least recently used images until the cache fits the configured maximum size
+async function enforceImageCacheLimit() {
+  const limit = await getDbSetting(IMAGE_CACHE_LIMIT_SETTING, DEFAULT_IMAGE_CACHE_LIMIT);
+  const entries = await getImageCacheEntries();
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  if (total <= limit) return;
+
+  const cache = await caches.open(IMAGE_CACHE_NAME);
+  const evicted = [];
+  entries.sort((a, b) => a.lastUsed - b.lastUsed);
+  for (const entry of entries) {
+    if (total <= limit) break;
+    await cache.delete(entry.url);
+    evicted.push(entry.url);
+    total -= entry.size;
+  }
+  await deleteImageCacheEntries(evicted);
+}
+
+// Messages from the app (e.g. after the maximum size was lowered in Settings)
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'enforce-image-cache-limit') {
+    event.waitUntil(enforceImageCacheLimit());
+  }
+});
+
 // Activate event - clean up old caches
 self.addEventListener('activate', (event) => {
   event.waitUntil(
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
+          // The image cache is not versioned, so keep it across app updates
+          if (cacheName !== CACHE_NAME && cacheName !== IMAGE_CACHE_NAME) {
             return caches.delete(cacheName);
           }
         })
@@ -44,4 +136,3 @@ self.addEventListener('activate', (event) => {
     })
   );
 });
-
@@ -1,3 +1,3 @@
 // App version - update this when releasing a new version
-const APP_VERSION = '1.4.0';
+const APP_VERSION = '1.9.0';
 